@@ -1,24 +1,112 @@
 #!/usr/bin/env node
 
 import readline from 'readline';
-import dotenv from 'dotenv';
-import { C } from './src/config.js';
+import chalk from 'chalk';
+import { C, ICONS, plainOutputWanted, usePlainOutput } from './src/config.js';
 import { TaxGPT } from './src/ai.js';
-
-dotenv.config();
+import { USAGE, parseCliArgs, readStdin, runAsk, runSearch, runImport, runEncrypt, runDecrypt, unlockStorage } from './src/cli.js';
+import { runServer } from './src/server.js';
+import { providerConfigError } from './src/providers.js';
 
 async function main() {
-  if (!process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY === 'your_openrouter_api_key_here') {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
     console.error('');
-    console.error(C.error('  Error: OPENROUTER_API_KEY not set'));
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const { command, options } = args;
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.color) {
+    chalk.level = 0;
+  }
+  if (plainOutputWanted(options.plain)) {
+    usePlainOutput();
+  }
+
+  if (command === 'encrypt' || command === 'decrypt') {
+    try {
+      await (command === 'encrypt' ? runEncrypt() : runDecrypt());
+    } catch (error) {
+      if (error.name === 'ExitPromptError') throw error;
+      console.error(C.error(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Encrypted sessions are unlocked once, before anything reads them
+  try {
+    await unlockStorage();
+  } catch (error) {
+    if (error.name === 'ExitPromptError') throw error;
+    console.error(C.error(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  if (command === 'import') {
+    if (args.files.length === 0) {
+      console.error('No files given.');
+      process.exit(2);
+    }
+    const failed = await runImport(args.files, options);
+    process.exit(failed > 0 ? 1 : 0);
+  }
+
+  if (command === 'search') {
+    if (!args.question) {
+      console.error('No search terms given.');
+      process.exit(2);
+    }
+    try {
+      await runSearch(args.question, options);
+    } catch (error) {
+      console.error(C.error(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Interactive mode still starts without a model: /search and /calc work offline
+  const configError = providerConfigError();
+  if (configError && (command || !process.stdin.isTTY)) {
     console.error('');
-    console.error(C.dim('  1. Copy .env.example to .env'));
-    console.error(C.dim('  2. Add your API key from https://openrouter.ai/keys'));
+    console.error(C.error(`  Error: ${configError.message}`));
+    console.error('');
+    configError.hints.forEach(hint => console.error(C.dim(`  ${hint}`)));
     console.error('');
     process.exit(1);
   }
 
-  const taxGPT = new TaxGPT();
+  if (command === 'serve') {
+    await runServer({ host: options.host, port: options.port, debug: options.debug });
+    return;
+  }
+
+  // Piped input without a command is a one-shot question too
+  if (command === 'ask' || !process.stdin.isTTY) {
+    const question = args.question || (!process.stdin.isTTY ? await readStdin() : '');
+    if (!question) {
+      console.error('No question given. Pass it as an argument or on stdin.');
+      process.exit(2);
+    }
+    try {
+      await runAsk(question, options);
+    } catch (error) {
+      console.error(C.error(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    return;
+  }
+
+  const taxGPT = new TaxGPT({ taxYear: options.taxYear, sessionId: options.sessionId, debug: options.debug });
   
   // Handle graceful shutdown
   let shutdownInProgress = false;
@@ -40,13 +128,13 @@ async function main() {
       // Ignore save errors during shutdown
     }
     
-    console.log(C.highlight('  ✓ Goodbye!'));
+    console.log(C.highlight('  ' + ICONS.check + ' Goodbye!'));
     console.log('');
     process.exit(0);
   };
   
-  // Handle Ctrl+C (SIGINT) - always works
-  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  // Handle Ctrl+C (SIGINT) - cancels the answer being written, otherwise exits
+  process.on('SIGINT', () => taxGPT.isAnswering() ? taxGPT.cancel() : gracefulShutdown('SIGINT'));
   
   // Handle other termination signals
   process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -56,6 +144,12 @@ async function main() {
   let escapeTimer = null;
   
   const handleKeypress = (str, key) => {
+    // While an answer is on its way, ESC and Ctrl+C cancel just that answer
+    if (taxGPT.isAnswering() && key && (key.name === 'escape' || (key.name === 'c' && key.ctrl))) {
+      taxGPT.cancel();
+      return;
+    }
+
     if (key && key.name === 'escape') {
       escapeCount++;
       
@@ -1,39 +1,25 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import readline from 'readline';
-import OpenAI from 'openai';
-import ora from 'ora';
 import gradient from 'gradient-string';
 import cliCursor from 'cli-cursor';
 import chalk from 'chalk';
-import dotenv from 'dotenv';
 
-import { C, ICONS, MODEL, MAX_CONTEXT_CHARS } from './config.js';
-import { formatLine, renderMarkdown } from './formatter.js';
-import { SessionManager } from './session.js';
+import { C, ICONS, BOX, OUTPUT } from './config.js';
+import { formatBudget, createSpinner } from './formatter.js';
+import { MarkdownStream } from './markdown.js';
 import { CommandHandler } from './commands.js';
-
-dotenv.config();
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-const openai = new OpenAI({
-  baseURL: 'https://openrouter.ai/api/v1',
-  apiKey: process.env.OPENROUTER_API_KEY,
-  defaultHeaders: {
-    'HTTP-Referer': 'https://github.com/tax-gpt',
-    'X-Title': 'Tax GPT'
-  }
-});
-
-export class TaxGPT {
-  constructor() {
-    this.knowledgeBase = '';
-    this.chunks = [];
-    this.sessionManager = new SessionManager();
+import { TaxEngine } from './engine.js';
+import { detectProfileFacts } from './profile.js';
+import { providerConfigError } from './providers.js';
+import { summarizeToolResult } from './tools.js';
+import { SessionNotFoundError } from './session.js';
+
+// Terminal front end: spinners, prompts and streamed rendering on top of TaxEngine
+export class TaxGPT extends TaxEngine {
+  constructor(options = {}) {
+    super(options);
     this.lineWidth = process.stdout.columns || 80;
-    this.commands = new CommandHandler(this.sessionManager, this.safePrompt.bind(this));
+    this.spinner = null;
+    this.commands = new CommandHandler(this.sessionManager, this.safePrompt.bind(this), this);
   }
 
   async safePrompt(questions) {
@@ -41,160 +27,134 @@ export class TaxGPT {
       const inquirer = (await import('inquirer')).default;
       return await inquirer.prompt(questions);
     } catch (error) {
-      if (error.name === 'ExitPromptError') {
-        console.log('');
-        console.log(C.system('  Saving session and exiting...'));
-        await this.sessionManager.saveSession();
-        console.log(C.highlight('  ✓ Goodbye!'));
-        console.log('');
-        process.exit(0);
-      }
+      if (error.name === 'ExitPromptError') await this.exitSaved();
+      throw error;
+    }
+  }
+
+  async exitSaved() {
+    console.log('');
+    console.log(C.system('  Saving session and exiting...'));
+    await this.sessionManager.saveSession();
+    console.log(C.highlight('  ' + ICONS.check + ' Goodbye!'));
+    console.log('');
+    process.exit(0);
+  }
+
+  // The question prompt. A plain readline rather than an inquirer prompt so Tab
+  // can complete /commands and their arguments.
+  async readInput() {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: Boolean(process.stdin.isTTY),
+      completer: (line) => this.commands.complete(line)
+    });
+    let closed = false;
+    try {
+      return await new Promise((resolve, reject) => {
+        rl.on('SIGINT', () => reject(Object.assign(new Error('Prompt closed'), { name: 'ExitPromptError' })));
+        rl.on('close', () => {
+          closed = true;
+          reject(Object.assign(new Error('Input ended'), { name: 'ExitPromptError' }));
+        });
+        rl.question(C.user('  ' + ICONS.user + ' '), resolve);
+      });
+    } catch (error) {
+      if (error.name === 'ExitPromptError') await this.exitSaved();
       throw error;
+    } finally {
+      if (!closed) rl.close();
     }
   }
 
   async loadKnowledgeBase() {
-    const spinner = ora({
-      text: C.system('Loading IRS Publication 17...'),
-      spinner: 'dots',
-      color: 'gray'
-    }).start();
-    
+    const spinner = createSpinner('Loading knowledge base...', C.system);
+
     try {
-      const kbPath = path.join(__dirname, '..', 'knowledge-base', 'tax-knowledge-base.txt');
-      this.knowledgeBase = await fs.readFile(kbPath, 'utf-8');
-      this.chunks = this.createChunks(this.knowledgeBase, 3000);
-      spinner.succeed(C.system(`Loaded ${this.chunks.length.toLocaleString()} chunks`));
+      const skipped = await this.loadKnowledge();
+      spinner.succeed(C.system(`Loaded ${this.chunks.length.toLocaleString()} chunks from ${this.sources.length} source${this.sources.length === 1 ? '' : 's'}`));
+      skipped.forEach(source => this.printSystem(`Skipped ${source.title}: ${source.path} not found`));
     } catch (error) {
       spinner.fail(C.error('Failed to load knowledge base'));
       throw error;
     }
   }
 
-  createChunks(text, chunkSize) {
-    const chunks = [];
-    const paragraphs = text.split('\n\n');
-    let currentChunk = '';
-    
-    for (const para of paragraphs) {
-      if (currentChunk.length + para.length > chunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk.trim());
-        currentChunk = para;
-      } else {
-        currentChunk += '\n\n' + para;
-      }
+  printCitations(citations) {
+    const sources = this.lastSources;
+    if (citations.cited.length > 0) {
+      console.log('');
+      citations.cited.forEach(({ n }) => {
+        const source = sources.find(s => s.n === n);
+        console.log(C.dim(`  [${n}] ${source.location}`));
+      });
+    }
+    if (citations.unverified.length > 0) {
+      console.log(C.warning(`  ! Unverified citation${citations.unverified.length > 1 ? 's' : ''} ${citations.unverified.map(n => `[${n}]`).join(' ')}: not among the retrieved passages`));
     }
-    if (currentChunk.trim()) chunks.push(currentChunk.trim());
-    return chunks;
   }
 
-  findRelevantChunks(query, maxChunks = 5) {
-    const queryLower = query.toLowerCase();
-    const keywords = queryLower.split(/\s+/).filter(w => w.length > 3);
-    
-    const scored = this.chunks.map((chunk, idx) => {
-      const chunkLower = chunk.toLowerCase();
-      let score = 0;
-      if (chunkLower.includes(queryLower)) score += 10;
-      for (const kw of keywords) {
-        if (chunkLower.includes(kw)) score += 2;
-      }
-      if (chunk.includes('Table') || chunk.includes('$')) score += 1;
-      return { chunk, score, idx };
-    });
-    
-    return scored
-      .sort((a, b) => b.score - a.score)
-      .slice(0, maxChunks)
-      .map(item => item.chunk);
+  // Offer to save facts the user stated about themselves; nothing is stored without confirmation
+  async offerProfileUpdates(text) {
+    if (!this.isProfileAttached()) return;
+    const proposals = detectProfileFacts(text, this.profileManager.profile);
+    if (proposals.length === 0) return;
+
+    const { accepted } = await this.safePrompt([{
+      type: 'checkbox',
+      name: 'accepted',
+      message: C.system('Save to your profile?'),
+      choices: proposals.map((proposal, i) => ({ name: proposal.label, value: i, checked: true }))
+    }]);
+    if (accepted.length === 0) return;
+
+    await this.profileManager.update(Object.fromEntries(accepted.map(i => [proposals[i].field, proposals[i].value])));
+    this.printSystem(`Profile updated: ${accepted.map(i => proposals[i].label).join('; ')}`);
+    console.log('');
   }
 
-  buildSystemPrompt(context, history, isFirstMessage = false) {
-    const basePrompt = `You are Tax GPT, a tax savings assistant powered by IRS Publication 17 (2025).
-
-YOUR MISSION:
-Help users legally minimize their tax liability and keep more of their money. Every interaction should move toward identifying deductions, credits, and strategies they might be missing.
-
-CORE PRINCIPLES:
-1. TAX SAVINGS FIRST - Always look for opportunities to reduce taxable income or increase credits
-2. PROACTIVE GUIDANCE - Don't just answer questions; suggest related savings opportunities
-3. SPECIFICITY WINS - Give exact dollar amounts, income thresholds, and form numbers
-4. CLARIFY TO SAVE - Ask about their situation to find credits/deductions they qualify for
-
-APPROACH:
-- Frame answers around "Here's how this affects your bottom line..."
-- After answering, suggest 1-2 related tax savings opportunities
-- Ask: "Do you also [qualify for X / have Y situation]?" to uncover more savings
-- Always mention: "Many people miss this deduction..." when relevant
-
-RULES:
-- Answer using ONLY the IRS Publication 17 context provided
-- Be conversational and enthusiastic about finding savings
-- Use bullet points for deductions/credits lists
-- Cite specific sections, tables, and dollar thresholds
-- Format: $X,XXX for money, percentages as X%
-- Never suggest illegal tax evasion - only legal avoidance strategies
-
-${isFirstMessage ? `OPENING GREETING (use this exactly or adapt slightly):
-"Welcome to Tax GPT! 💰\n\nI'm here to help you pay less in taxes and keep more of your hard-earned money. Whether you're filing for the first time or looking for deductions you might have missed, I'll search through IRS Publication 17 to find every legal way to reduce your tax bill.
-
-Quick questions to get you thinking about savings:
-• What's the standard deduction for 2025 and should I itemize instead?
-• Am I missing any tax credits I qualify for?
-• How can I reduce my taxable income before the deadline?
-• What's the best filing status for my situation?
-
-What would you like to explore? I'm ready to help you save!"
-
-` : ''}IRS PUBLICATION 17 (2025) CONTEXT:
-${context}
-
-${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
-    return basePrompt;
+  printBudget() {
+    if (!this.debug || !this.lastBudget) return;
+    console.log('');
+    console.log(formatBudget(this.lastBudget));
   }
 
-  async askQuestion(question) {
-    const relevantChunks = this.findRelevantChunks(question);
-    const context = relevantChunks.join('\n---\n');
-    const truncatedContext = context.length > MAX_CONTEXT_CHARS 
-      ? context.substring(0, MAX_CONTEXT_CHARS) + '...'
-      : context;
-
-    const recentHistory = this.sessionManager.getRecentMessages(3);
-    const historyContext = recentHistory.length > 0 
-      ? recentHistory.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, 100)}${m.content.length > 100 ? '...' : ''}`).join('\n')
-      : '';
-    
-    const isFirstMessage = recentHistory.length === 0;
-
-    const messages = [
-      {
-        role: 'system',
-        content: this.buildSystemPrompt(truncatedContext, historyContext, isFirstMessage)
-      },
-      ...recentHistory.map(m => ({ role: m.role, content: m.content })),
-      { role: 'user', content: question }
-    ];
-
-    try {
-      const completion = await openai.chat.completions.create({
-        model: MODEL,
-        messages: messages,
-        temperature: 0.2,
-        max_tokens: 1500,
-        stream: true
-      });
+  printInterruption() {
+    if (!this.lastInterruption) return;
+    const { reason, error } = this.lastInterruption;
+    const why = reason === 'cancelled' ? 'Cancelled'
+      : reason === 'timeout' ? 'The model stopped responding'
+      : `Connection lost (${error})`;
+    console.log('');
+    console.log(C.warning(`  ! ${why}: the answer above is incomplete and saved as interrupted. /retry asks again`));
+  }
 
-      return completion;
-    } catch (error) {
-      if (error.status === 401) {
-        throw new Error('Invalid API key. Check OPENROUTER_API_KEY in .env');
-      }
-      throw error;
+  // Shown while a failed request waits to be retried
+  onRetry({ attempt, delay, error }) {
+    const message = `${error.status ? `Error ${error.status}` : error.message}; retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1})`;
+    if (this.spinner?.isSpinning) {
+      this.spinner.text = C.dim(message);
+    } else {
+      console.log(C.dim(`  ${message}`));
     }
   }
 
+  printYearNotice() {
+    if (this.lastMissingYears.length === 0) return;
+    console.log('');
+    console.log(C.warning(`  ! Tax year ${this.lastMissingYears.join(', ')} is not loaded. Answering from ${this.describeSources()}.`));
+  }
+
   printWelcome() {
+    if (OUTPUT.plain) {
+      console.log('');
+      console.log('Tax GPT - Tax Assistant');
+      console.log(`${this.describeSources()} - ${this.describeModel()} - type /help for commands`);
+      console.log('');
+      return;
+    }
+
     console.log('\n');
     console.log(gradient(['#007AFF', '#00C7BE'])(
       '  ╔══════════════════════════════════════════════════════════╗'
@@ -212,7 +172,7 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
       '  ╚══════════════════════════════════════════════════════════╝'
     ));
     console.log('\n');
-    console.log(C.dim('  IRS Publication 17 (2025)  ·  Gemini 3 Flash  ·  /help'));
+    console.log(C.dim(`  ${this.describeSources()}  ·  ${this.describeModel()}  ·  /help`));
     console.log('');
   }
 
@@ -222,97 +182,79 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
 
   printError(message) {
     console.log('');
-    console.log(C.error('  ' + ICONS.dot + ' ' + message));
+    console.log(C.error('  ' + ICONS.error + ' ' + message));
     console.log('');
   }
 
   printInputBox() {
-    const width = Math.min(process.stdout.columns - 4, 76);
-    const line = '─'.repeat(width);
+    const width = Math.min((process.stdout.columns || 80) - 4, 76);
+    const line = BOX.h.repeat(width);
     console.log(C.dim('  ' + line));
   }
 
   async streamResponse(stream) {
-    cliCursor.hide();
+    if (!OUTPUT.plain) cliCursor.hide();
     process.stdout.write('\n' + C.agentLabel('  ' + ICONS.agent + ' Tax GPT') + '\n');
-    
-    let fullContent = '';
-    const lines = [];
-    let currentLine = '';
-    
-    // Collect and display content during streaming
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullContent += content;
-        
-        // Check for newlines to complete lines
-        if (content.includes('\n')) {
-          const parts = (currentLine + content).split('\n');
-          // All but the last part are complete lines
-          for (let i = 0; i < parts.length - 1; i++) {
-            const formatted = formatLine(parts[i]);
-            lines.push(parts[i]);
-            process.stdout.write(C.agent('  ') + formatted + '\n');
-          }
-          // Last part is the new current line
-          currentLine = parts[parts.length - 1];
-        } else {
-          currentLine += content;
+
+    const markdown = new MarkdownStream({ width: process.stdout.columns || 80 });
+    try {
+      const fullContent = await this.completeResponse(stream, {
+        onContent: async (content) => {
+          markdown.push(content);
+          await new Promise(r => setTimeout(r, 4));
+        },
+        onToolCall: ({ name, result }) => {
+          markdown.flush();
+          process.stdout.write(C.dim(`  ${ICONS.tool} ${name} ${ICONS.arrow} ${summarizeToolResult(name, result)}`) + '\n');
         }
-        
-        await new Promise(r => setTimeout(r, 4));
-      }
-    }
-    
-    // Handle any remaining content
-    if (currentLine) {
-      lines.push(currentLine);
-      process.stdout.write(C.agent('  ') + formatLine(currentLine) + '\n');
-    }
-    
-    cliCursor.show();
-    
-    // If content contains markdown tables, re-render with proper formatting
-    if (fullContent.includes('|')) {
-      // Clear previous output and re-render with markdown support
-      const lineCount = lines.length + 2; // +2 for header and newline
-      process.stdout.write('\x1b[' + lineCount + 'A'); // Move cursor up
-      process.stdout.write('\x1b[0J'); // Clear from cursor to end
-      
-      const rendered = renderMarkdown(fullContent);
-      process.stdout.write(C.agent(rendered));
+      });
+      markdown.flush();
+      return fullContent;
+    } finally {
+      if (!OUTPUT.plain) cliCursor.show();
     }
-    
-    return fullContent;
   }
 
   async interactiveMode() {
     this.printWelcome();
-    await this.sessionManager.init();
 
-    if (!this.sessionManager.currentSession) {
-      await this.sessionManager.createSession();
+    if (this.defaultTaxYear && !this.getAvailableYears().includes(this.defaultTaxYear)) {
+      this.printError(`Tax year ${this.defaultTaxYear} is not loaded. Using ${this.getAvailableYears()[0]}.`);
+      this.defaultTaxYear = null;
+    }
+
+    let session;
+    try {
+      session = await this.startSession();
+    } catch (error) {
+      if (!(error instanceof SessionNotFoundError)) throw error;
+      this.printError(`${error.message}. Starting a new session.`);
+      this.sessionId = null;
+      session = await this.startSession();
     }
 
-    this.printSystem(`Session: ${this.sessionManager.currentSession.name}`);
+    await this.commands.loadPlugins();
+    this.printSystem(`Session: ${session.name}  ·  Tax year ${this.getTaxYear()}${this.getActiveProfile() ? '  ·  Profile attached' : ''}`);
     console.log('');
 
+    const configError = providerConfigError();
+    if (configError) {
+      console.log(C.warning(`  ! ${configError.message}: questions need a model, but /search and /calc work offline`));
+      configError.hints.forEach(hint => console.log(C.dim(`    ${hint}`)));
+      console.log('');
+    }
+
     // Auto-trigger welcome greeting on first load if no messages yet
-    const isNewSession = this.sessionManager.currentSession.messages.length === 0;
+    const isNewSession = this.sessionManager.currentSession.messages.length === 0 && !configError;
     if (isNewSession) {
-      const spinner = ora({
-        text: C.dim('Preparing your tax savings guide...'),
-        spinner: 'dots',
-        color: 'gray'
-      }).start();
+      const spinner = createSpinner('Preparing your tax savings guide...');
 
       try {
         const stream = await this.askQuestion('Introduce yourself and suggest some tax savings questions I could ask');
         spinner.stop();
         
         const fullContent = await this.streamResponse(stream);
-        this.sessionManager.addMessage('assistant', fullContent);
+        await this.recordAnswer(fullContent);
         console.log('');
       } catch (error) {
         spinner.stop();
@@ -320,18 +262,19 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
       }
       
       // Show starter questions as selectable list
+      const year = this.getTaxYear();
       const exampleQuestions = [
-        { name: "1. What's the standard deduction for 2025 and should I itemize instead?", value: "What's the standard deduction for 2025 and should I itemize instead?" },
+        { name: `1. What's the standard deduction for ${year} and should I itemize instead?`, value: `What's the standard deduction for ${year} and should I itemize instead?` },
         { name: "2. Am I missing any tax credits I qualify for?", value: "Am I missing any tax credits I qualify for?" },
         { name: "3. How can I reduce my taxable income before the deadline?", value: "How can I reduce my taxable income before the deadline?" },
         { name: "4. What's the best filing status for my situation?", value: "What's the best filing status for my situation?" },
-        { name: "5. ✏️  OR type whatever you want!", value: "__CUSTOM__" }
+        { name: `5. ${OUTPUT.plain ? '' : '✏️  '}OR type whatever you want!`, value: "__CUSTOM__" }
       ];
       
-      console.log(C.dim('  ─────────────────────────────────────────'));
+      console.log(C.dim('  ' + BOX.h.repeat(41)));
       console.log(C.dim('  Select a number or type any question:'));
       const { selectedQuestion } = await this.safePrompt([{
-        type: 'list',
+        type: 'select',
         name: 'selectedQuestion',
         message: C.system('Get started:'),
         choices: exampleQuestions,
@@ -340,13 +283,7 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
       
       let input;
       if (selectedQuestion === '__CUSTOM__') {
-        const { customInput } = await this.safePrompt([{
-          type: 'input',
-          name: 'customInput',
-          message: '',
-          prefix: C.user('  ' + ICONS.user + ' ')
-        }]);
-        input = customInput;
+        input = await this.readInput();
       } else {
         input = selectedQuestion;
         console.log(C.user('  ' + ICONS.user + ' ' + input));
@@ -355,30 +292,7 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
       if (input.trim()) {
         console.log('');
         
-        const spinner2 = ora({
-          text: C.dim('Searching for tax savings...'),
-          spinner: 'dots',
-          color: 'gray'
-        }).start();
-
-        try {
-          this.sessionManager.addMessage('user', input);
-          
-          spinner2.text = C.dim('Analyzing your situation...');
-          const stream = await this.askQuestion(input);
-          
-          spinner2.stop();
-          
-          const fullContent = await this.streamResponse(stream);
-          this.sessionManager.addMessage('assistant', fullContent);
-          
-          console.log('');
-          console.log(C.dim('  ' + ICONS.dot + ' ' + chalk.italic('Not professional tax advice')));
-          console.log('');
-        } catch (error) {
-          spinner2.stop();
-          this.printError(error.message);
-        }
+        await this.respond(input, { searching: 'Searching for tax savings...', analyzing: 'Analyzing your situation...' });
       }
     }
 
@@ -386,14 +300,7 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
     while (true) {
       this.printInputBox();
       
-      const { input: loopInput } = await this.safePrompt([{
-        type: 'input',
-        name: 'input',
-        message: '',
-        prefix: C.user('  ' + ICONS.user + ' ')
-      }]);
-      
-      const input = loopInput;
+      const input = await this.readInput();
 
       if (!input.trim()) continue;
 
@@ -403,31 +310,57 @@ ${history ? `RECENT CONVERSATION:\n${history}` : ''}`;
       }
       
       console.log('');
+      await this.respond(input);
+    }
+  }
 
-      const spinner = ora({
-        text: C.dim('Searching...'),
-        spinner: 'dots',
-        color: 'gray'
-      }).start();
+  // Ask one question and stream the answer. With retry the question is already
+  // the last message in the session, left there by prepareRetry. Questions a
+  // command wrote for the user say nothing about them, so skip profileUpdates.
+  async respond(input, { retry = false, profileUpdates = true, searchQuery, searching = 'Searching...', analyzing = 'Analyzing...' } = {}) {
+    const spinner = createSpinner(searching);
+    this.spinner = spinner;
 
-      try {
-        this.sessionManager.addMessage('user', input);
-        
-        spinner.text = C.dim('Analyzing...');
-        const stream = await this.askQuestion(input);
-        
-        spinner.stop();
-        
-        const fullContent = await this.streamResponse(stream);
-        this.sessionManager.addMessage('assistant', fullContent);
-        
-        console.log('');
-        console.log(C.dim('  ' + ICONS.dot + ' ' + chalk.italic('Not professional tax advice')));
-        console.log('');
-      } catch (error) {
-        spinner.stop();
-        this.printError(error.message);
-      }
+    try {
+      if (!retry) await this.sessionManager.addMessage('user', input);
+
+      spinner.text = C.dim(analyzing);
+      const stream = await this.askQuestion(input, { searchQuery });
+
+      spinner.stop();
+      this.printBudget();
+      this.printYearNotice();
+
+      const fullContent = await this.streamResponse(stream);
+      this.printCitations(await this.recordAnswer(fullContent));
+      this.printInterruption();
+
+      console.log('');
+      console.log(C.dim('  ' + ICONS.dot + ' ' + chalk.italic('Not professional tax advice')));
+      console.log('');
+      if (!this.lastInterruption && profileUpdates) await this.offerProfileUpdates(input);
+    } catch (error) {
+      spinner.stop();
+      this.printError(error.message);
+    } finally {
+      this.spinner = null;
+    }
+  }
+
+  // /retry: answer the last question again
+  async retry() {
+    const question = this.prepareRetry();
+    if (!question) {
+      console.log('');
+      this.printSystem('Nothing to retry yet');
+      console.log('');
+      return true;
     }
+    await this.sessionManager.saveSession();
+    console.log('');
+    console.log(C.user('  ' + ICONS.user + ' ' + question));
+    console.log('');
+    await this.respond(question, { retry: true });
+    return true;
   }
 }
@@ -0,0 +1,326 @@
+// Deterministic federal income tax arithmetic. Figures are transcribed from
+// Publication 17 so that answers can be checked against the printed tables.
+
+export const FILING_STATUSES = {
+  single: 'Single',
+  mfj: 'Married filing jointly',
+  mfs: 'Married filing separately',
+  hoh: 'Head of household',
+  qss: 'Qualifying surviving spouse'
+};
+
+// Married statuses get the smaller per-box amount in Table 10-2
+const MARRIED = new Set(['mfj', 'mfs', 'qss']);
+
+// Table 10-2: the spouse's boxes count on a joint return, or on a separate one
+// when the spouse had no income, files no return and can't be claimed as a
+// dependent. A qualifying surviving spouse has only their own two boxes.
+export function spouseBoxesAllowed(filingStatus, spouseNoIncome = false) {
+  return filingStatus === 'mfj' || (filingStatus === 'mfs' && spouseNoIncome);
+}
+
+export const TAX_DATA = {
+  2025: {
+    // 2025 Tax Rate Schedules X, Y-1, Y-2 and Z (Pub 17, p. 125): [upper bound, rate]
+    brackets: {
+      single: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [626350, 0.35], [Infinity, 0.37]],
+      mfj: [[23850, 0.10], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32], [751600, 0.35], [Infinity, 0.37]],
+      mfs: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [375800, 0.35], [Infinity, 0.37]],
+      hoh: [[17000, 0.10], [64850, 0.12], [103350, 0.22], [197300, 0.24], [250500, 0.32], [626350, 0.35], [Infinity, 0.37]],
+      qss: [[23850, 0.10], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32], [751600, 0.35], [Infinity, 0.37]]
+    },
+    // Table 10-1 (Pub 17, p. 95)
+    standardDeduction: { single: 15750, mfj: 31500, mfs: 15750, hoh: 23625, qss: 31500 },
+    // Table 10-2: per box checked for age 65+ or blind
+    additionalDeduction: { married: 1600, unmarried: 2000 },
+    // Table 10-3: dependents get the larger of earned income + $450 or $1,350
+    dependentDeduction: { minimum: 1350, earnedIncomeAddition: 450 },
+    // Qualified dividends and long-term gains: 0% up to the first amount, 15% up to the second.
+    // Pub 17 doesn't print these; they are from the 2025 Form 1040 instructions (Rev. Proc. 2024-40).
+    capitalGains: {
+      single: [48350, 533400],
+      mfj: [96700, 600050],
+      mfs: [48350, 300000],
+      hoh: [64750, 566700],
+      qss: [96700, 600050]
+    },
+    // Income below this is taxed from the Tax Table rather than the worksheet
+    taxTableLimit: 100000,
+    // Chapter 14: CTC/ODC per qualifying person, reduced $50 for each $1,000 (or part) of modified AGI
+    // over $400,000 married filing jointly, $200,000 for everyone else
+    credits: {
+      child_tax_credit: { name: 'Child tax credit', perPerson: 2200 },
+      credit_for_other_dependents: { name: 'Credit for other dependents', perPerson: 500 }
+    },
+    creditPhaseout: { threshold: { mfj: 400000, other: 200000 }, reduction: 50, step: 1000 },
+    // Chapter 9: traditional IRA contribution limit, higher from age 50
+    iraLimit: { under50: 7000, age50: 8000 }
+  }
+};
+
+export const CALCULATOR_YEARS = Object.keys(TAX_DATA).map(Number);
+
+function getYearData(year) {
+  const data = TAX_DATA[year];
+  if (!data) {
+    throw new Error(`No tax figures for ${year} (available: ${CALCULATOR_YEARS.join(', ')})`);
+  }
+  return data;
+}
+
+function checkStatus(filingStatus) {
+  if (!FILING_STATUSES[filingStatus]) {
+    throw new Error(`Unknown filing status "${filingStatus}" (use ${Object.keys(FILING_STATUSES).join(', ')})`);
+  }
+}
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Exact tax from the rate schedule, in cents
+export function scheduleTax(taxableIncome, filingStatus, year = 2025) {
+  checkStatus(filingStatus);
+  const brackets = getYearData(year).brackets[filingStatus];
+  let tax = 0;
+  let lower = 0;
+
+  for (const [upper, rate] of brackets) {
+    if (taxableIncome <= lower) break;
+    tax += (Math.min(taxableIncome, upper) - lower) * rate;
+    lower = upper;
+  }
+  return roundCents(tax);
+}
+
+// The Tax Table row a given income falls in: $5/$10 rows at the bottom, then $25 rows to $3,000, then $50 rows
+export function taxTableRow(taxableIncome) {
+  if (taxableIncome < 5) return [0, 5];
+  if (taxableIncome < 15) return [5, 15];
+  if (taxableIncome < 25) return [15, 25];
+  const width = taxableIncome < 3000 ? 25 : 50;
+  const atLeast = Math.floor(taxableIncome / width) * width;
+  return [atLeast, atLeast + width];
+}
+
+// Tax as Form 1040 line 16 figures it: the Tax Table (midpoint of the row, whole dollars)
+// under $100,000, the Tax Computation Worksheet at or above it
+export function incomeTax(taxableIncome, filingStatus, year = 2025) {
+  if (taxableIncome <= 0) return 0;
+  if (taxableIncome >= getYearData(year).taxTableLimit) {
+    return scheduleTax(taxableIncome, filingStatus, year);
+  }
+  const [atLeast, lessThan] = taxTableRow(taxableIncome);
+  return Math.round(scheduleTax((atLeast + lessThan) / 2, filingStatus, year));
+}
+
+export function marginalRate(taxableIncome, filingStatus, year = 2025) {
+  checkStatus(filingStatus);
+  const brackets = getYearData(year).brackets[filingStatus];
+  return brackets.find(([upper]) => taxableIncome <= upper)[1];
+}
+
+// Table 10-1, 10-2 or the Table 10-3 worksheet, depending on age, blindness and dependency.
+// Spouse boxes only count where spouseBoxesAllowed says so.
+export function standardDeduction({
+  filingStatus,
+  age65 = false,
+  blind = false,
+  spouseAge65 = false,
+  spouseBlind = false,
+  spouseNoIncome = false,
+  dependent = false,
+  earnedIncome = 0,
+  year = 2025
+}) {
+  checkStatus(filingStatus);
+  const data = getYearData(year);
+  const spouseBoxes = spouseBoxesAllowed(filingStatus, spouseNoIncome) ? [spouseAge65, spouseBlind] : [];
+  const boxes = [age65, blind, ...spouseBoxes].filter(Boolean).length;
+  const perBox = MARRIED.has(filingStatus) ? data.additionalDeduction.married : data.additionalDeduction.unmarried;
+  let basic = data.standardDeduction[filingStatus];
+
+  if (dependent) {
+    const { minimum, earnedIncomeAddition } = data.dependentDeduction;
+    basic = Math.min(Math.max(earnedIncome + earnedIncomeAddition, minimum), basic);
+  }
+
+  return { basic, additional: boxes * perBox, total: basic + boxes * perBox };
+}
+
+// Qualified Dividends and Capital Gain Tax Worksheet (Form 1040 instructions, lines 1-25)
+export function capitalGainsTax(taxableIncome, qualifiedIncome, filingStatus, year = 2025) {
+  checkStatus(filingStatus);
+  const [zeroTop, fifteenTop] = getYearData(year).capitalGains[filingStatus];
+  const preferential = Math.min(taxableIncome, Math.max(0, qualifiedIncome));
+  const ordinary = taxableIncome - preferential;
+
+  const atZero = Math.min(taxableIncome, zeroTop) - Math.min(ordinary, Math.min(taxableIncome, zeroTop));
+  const atFifteen = Math.min(
+    preferential - atZero,
+    Math.max(0, Math.min(taxableIncome, fifteenTop) - (ordinary + atZero))
+  );
+  const atTwenty = preferential - atZero - atFifteen;
+
+  const tax = roundCents(atFifteen * 0.15 + atTwenty * 0.20 + incomeTax(ordinary, filingStatus, year));
+  return {
+    tax: Math.min(tax, incomeTax(taxableIncome, filingStatus, year)),
+    ordinary,
+    atZero,
+    atFifteen,
+    atTwenty
+  };
+}
+
+// Taxable income, tax and rates from structured inputs. Itemized deductions are
+// used only when they beat the standard deduction, as Schedule A would be, unless
+// deductionType asks for one or the other.
+export function calculateTax({
+  filingStatus,
+  income,
+  adjustments = 0,
+  itemizedDeductions = 0,
+  qualifiedIncome = 0,
+  age65 = false,
+  blind = false,
+  spouseAge65 = false,
+  spouseBlind = false,
+  spouseNoIncome = false,
+  dependent = false,
+  earnedIncome = income,
+  deductionType = null,
+  year = 2025
+}) {
+  checkStatus(filingStatus);
+  if (!(income >= 0)) throw new Error('Income must be a non-negative number');
+
+  const agi = Math.max(0, income - adjustments);
+  const standard = standardDeduction({ filingStatus, age65, blind, spouseAge65, spouseBlind, spouseNoIncome, dependent, earnedIncome, year });
+  const itemizes = deductionType ? deductionType === 'itemized' : itemizedDeductions > standard.total;
+  const deduction = itemizes ? itemizedDeductions : standard.total;
+  const taxableIncome = Math.max(0, agi - deduction);
+
+  const tax = qualifiedIncome > 0
+    ? capitalGainsTax(taxableIncome, qualifiedIncome, filingStatus, year).tax
+    : incomeTax(taxableIncome, filingStatus, year);
+
+  return {
+    year,
+    filingStatus,
+    income,
+    agi,
+    standardDeduction: standard.total,
+    itemizedDeductions,
+    deductionType: itemizes ? 'itemized' : 'standard',
+    deduction,
+    taxableIncome,
+    tax,
+    marginalRate: marginalRate(taxableIncome, filingStatus, year),
+    effectiveRate: income > 0 ? tax / income : 0
+  };
+}
+
+export function iraLimit(age, year = 2025) {
+  const { under50, age50 } = getYearData(year).iraLimit;
+  return age >= 50 ? age50 : under50;
+}
+
+// Married filing separately as two returns: each spouse reports their share of
+// every amount. If one spouse itemizes the other must too (Pub 17, chapter 10),
+// so both take the standard deduction or both itemize: whichever costs less,
+// unless deductionType picks one.
+export function separateReturns({ share = 0.5, spouseAge65 = false, spouseBlind = false, age65 = false, blind = false, deductionType = null, ...inputs }) {
+  if (!(share >= 0 && share <= 1)) throw new Error('Share must be between 0 and 1');
+  const part = (fraction, own) => ({
+    ...inputs,
+    ...own,
+    filingStatus: 'mfs',
+    income: roundCents(inputs.income * fraction),
+    adjustments: roundCents((inputs.adjustments || 0) * fraction),
+    itemizedDeductions: roundCents((inputs.itemizedDeductions || 0) * fraction),
+    qualifiedIncome: roundCents((inputs.qualifiedIncome || 0) * fraction),
+    spouseNoIncome: false,
+    earnedIncome: undefined
+  });
+  const yours = part(share, { age65, blind });
+  const spouse = part(1 - share, { age65: spouseAge65, blind: spouseBlind, dependent: false });
+
+  const [returns] = (deductionType ? [deductionType] : ['standard', 'itemized'])
+    .map(deductionType => [calculateTax({ ...yours, deductionType }), calculateTax({ ...spouse, deductionType })])
+    .sort((a, b) => (a[0].tax + a[1].tax) - (b[0].tax + b[1].tax));
+  const sum = (field) => roundCents(returns[0][field] + returns[1][field]);
+  const tax = sum('tax');
+
+  return {
+    year: returns[0].year,
+    filingStatus: 'mfs',
+    income: inputs.income,
+    agi: sum('agi'),
+    standardDeduction: sum('standardDeduction'),
+    itemizedDeductions: inputs.itemizedDeductions || 0,
+    deductionType: returns[0].deductionType,
+    deduction: sum('deduction'),
+    taxableIncome: sum('taxableIncome'),
+    tax,
+    marginalRate: Math.max(returns[0].marginalRate, returns[1].marginalRate),
+    effectiveRate: inputs.income > 0 ? tax / inputs.income : 0,
+    returns
+  };
+}
+
+// Each scenario is a base set of calculateTax inputs with its own changes applied.
+// A share on a married filing separately scenario splits it into two returns.
+export function compareScenarios(base, scenarios) {
+  return scenarios.map(({ label, changes = {} }) => {
+    const inputs = { ...base, ...changes };
+    const result = inputs.filingStatus === 'mfs' && inputs.share !== undefined
+      ? separateReturns(inputs)
+      : calculateTax(inputs);
+    return { label, inputs, result };
+  });
+}
+
+// Credit after the modified-AGI phase-out. Pass a preset credit name, or
+// maxCredit/threshold/reduction/step to phase out any other credit the same way.
+export function creditPhaseout({
+  credit = null,
+  count = 1,
+  modifiedAgi,
+  filingStatus,
+  maxCredit = null,
+  threshold = null,
+  reduction = null,
+  step = null,
+  year = 2025
+}) {
+  checkStatus(filingStatus);
+  const data = getYearData(year);
+  let name = 'Credit';
+
+  if (credit) {
+    const preset = data.credits[credit];
+    if (!preset) {
+      throw new Error(`Unknown credit "${credit}" (use ${Object.keys(data.credits).join(', ')})`);
+    }
+    name = preset.name;
+    maxCredit = preset.perPerson * count;
+    threshold = data.creditPhaseout.threshold[filingStatus] ?? data.creditPhaseout.threshold.other;
+    reduction = data.creditPhaseout.reduction;
+    step = data.creditPhaseout.step;
+  }
+  if (![maxCredit, threshold, reduction, step].every(n => Number.isFinite(n) && n >= 0) || step === 0) {
+    throw new Error('Give a credit name, or maxCredit, threshold, reduction and step');
+  }
+
+  const excess = Math.max(0, modifiedAgi - threshold);
+  const steps = Math.ceil(excess / step);
+  const reducedBy = Math.min(maxCredit, steps * reduction);
+
+  return {
+    name,
+    maxCredit,
+    threshold,
+    excess,
+    reducedBy,
+    credit: maxCredit - reducedBy,
+    fullyPhasedOutAt: threshold + Math.ceil(maxCredit / reduction) * step
+  };
+}
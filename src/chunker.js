@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+
+// Structure-aware chunking for IRS publications extracted from PDF proofs.
+// Pages are delimited by the "Page N of M" proof header; each page ends with a
+// running footer that carries the printed page number and the chapter title.
+
+const PROOF_LINES = [
+  /^Userid: /,
+  /^Draft Ok to Print$/,
+  /^AH XSL\/XML$/,
+  /^Fileid: /,
+  /^The type and rule above prints on all proofs/
+];
+
+const PAGE_HEADER = /^Page (\d+) of \d+\b/;
+
+// "62 Chapter 7 Social Security ... Publication 17 (2025)" or
+// "Publication 17 (2025) Chapter 7 Social Security ... 63"; both without a chapter on front matter pages
+const FOOTER_EVEN = /^(\d+) (?:Chapter (\d+) (.+) )?Publication \d+ \(\d{4}\)$/;
+const FOOTER_ODD = /^Publication \d+ \(\d{4}\) (?:Chapter (\d+) (.+) )?(\d+)$/;
+
+const PART_HEADING = /^Part (One|Two|Three|Four|Five|Six)\.$/;
+
+// Icon captions in the margins look like headings but aren't
+const MARGIN_LABELS = new Set(['TIP', 'CAUTION', 'RECORDS', 'EIC']);
+const STANDALONE_HEADINGS = new Set(['Introduction', 'Reminders', 'Examples', 'Contents', 'Index']);
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'if', 'in', 'into', 'of', 'on', 'or', 'the', 'to', 'vs.', 'with']);
+
+function parseFooter(lines) {
+  const last = lines[lines.length - 1] || '';
+  const prev = lines[lines.length - 2] || '';
+
+  for (const [line, consumed, continuation] of [[last, 1, ''], [prev, 2, last]]) {
+    // Long chapter titles wrap, leaving the final word on a line of its own
+    if (consumed === 2 && (continuation.length > 30 || /\d/.test(continuation))) continue;
+
+    let match = line.match(FOOTER_EVEN);
+    if (match) {
+      const [, page, chapter, title] = match;
+      return { consumed, page: Number(page), chapter: chapter ? Number(chapter) : null, chapterTitle: title ? `${title} ${continuation}`.trim() : null };
+    }
+    match = line.match(FOOTER_ODD);
+    if (match) {
+      const [, chapter, title, page] = match;
+      return { consumed, page: Number(page), chapter: chapter ? Number(chapter) : null, chapterTitle: title ? `${title} ${continuation}`.trim() : null };
+    }
+  }
+  return null;
+}
+
+export function isHeading(line) {
+  if (line.length < 4 || line.length > 60) return false;
+  if (MARGIN_LABELS.has(line) || /[.,;:\-]$/.test(line)) return false;
+  if (FOOTER_EVEN.test(line) || FOOTER_ODD.test(line)) return false;
+
+  // Table/worksheet captions keep their number; anything else with digits is a form list or index entry
+  const body = line.replace(/^(Table|Worksheet|Figure) [\dA-Z]+(-\d+)?\.\s*/, '').replace(/^\d{4} (?=[A-Z])/, '');
+  if (!/^[A-Z]/.test(body) || /\d/.test(body) || /\. /.test(body)) return false;
+  if (/\)$/.test(body) && !body.includes('(')) return false;
+
+  const words = body.split(/\s+/);
+  if (words.length > 8) return false;
+  if (words.length === 1 && !STANDALONE_HEADINGS.has(body)) return false;
+  if (body.endsWith('?') && words.length < 3) return false;
+
+  // A heading that ends on a connective has wrapped onto the next line
+  const lastWord = words[words.length - 1];
+  if (MINOR_WORDS.has(lastWord) || ['I', 'Other', 'Your'].includes(lastWord)) return false;
+
+  return words.every((word, i) =>
+    (i > 0 && MINOR_WORDS.has(word)) || /^[A-Z($“"]/.test(word)
+  );
+}
+
+// Split the raw text into pages with proof headers and running footers removed
+export function parsePages(text) {
+  const pages = [];
+  let current = { pdfPage: 1, lines: [] };
+
+  for (const line of text.split('\n')) {
+    const header = line.match(PAGE_HEADER);
+    if (header) {
+      pages.push(current);
+      current = { pdfPage: Number(header[1]), lines: [] };
+      continue;
+    }
+    if (PROOF_LINES.some(re => re.test(line))) continue;
+    current.lines.push(line);
+  }
+  pages.push(current);
+
+  return pages
+    .filter(page => page.lines.some(l => l.trim()))
+    .map(page => {
+      const footer = parseFooter(page.lines);
+      return {
+        pdfPage: page.pdfPage,
+        page: footer?.page ?? null,
+        chapter: footer?.chapter ?? null,
+        chapterTitle: footer?.chapterTitle ?? null,
+        lines: footer ? page.lines.slice(0, -footer.consumed) : page.lines
+      };
+    });
+}
+
+// Stable across rebuilds: only changes when the passage itself changes
+export function chunkId(page, text) {
+  const hash = crypto.createHash('sha1').update(text).digest('hex').slice(0, 6);
+  return `p${page ?? 0}-${hash}`;
+}
+
+// Group pages into chunks of at most maxChars that never span two chapters.
+// A new chunk starts at a section heading once the current one is reasonably full.
+export function chunkDocument(text, { maxChars = 3000 } = {}) {
+  const chunks = [];
+  let part = null;
+  let heading = null;
+  let chunk = null;
+
+  const flush = () => {
+    if (chunk && chunk.text.trim()) {
+      const text = chunk.text.trim();
+      chunks.push({ id: chunkId(chunk.pageStart, text), ...chunk, text });
+    }
+    chunk = null;
+  };
+
+  const start = (page) => {
+    chunk = {
+      text: '',
+      part,
+      chapter: page.chapter,
+      chapterTitle: page.chapterTitle,
+      headingPath: [page.chapterTitle, heading].filter(Boolean),
+      pageStart: page.page,
+      pageEnd: page.page
+    };
+  };
+
+  for (const page of parsePages(text)) {
+    if (chunk && chunk.chapter !== page.chapter) {
+      flush();
+      heading = null;
+    }
+
+    for (const rawLine of page.lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const partMatch = line.match(PART_HEADING);
+      if (partMatch) part = `Part ${partMatch[1]}`;
+
+      if (isHeading(line)) {
+        heading = line;
+        if (chunk && chunk.text.length > maxChars / 3) flush();
+      }
+
+      if (chunk && chunk.text.length + line.length + 1 > maxChars) flush();
+      if (!chunk) start(page);
+
+      chunk.text += line + '\n';
+      chunk.pageEnd = page.page ?? chunk.pageEnd;
+      if (chunk.pageStart === null) chunk.pageStart = page.page;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+// Human-readable location, e.g. "IRS Publication 17 (2025), Chapter 12, Other Itemized Deductions, p. 101"
+export function formatLocation(chunk) {
+  const parts = [];
+  if (chunk.source) parts.push(`${chunk.source.title} (${chunk.source.taxYear})`);
+  if (chunk.chapter) parts.push(`Chapter ${chunk.chapter}`);
+  parts.push(...chunk.headingPath);
+  if (chunk.pageStart) {
+    parts.push(chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
+      ? `pp. ${chunk.pageStart}–${chunk.pageEnd}`
+      : `p. ${chunk.pageStart}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,36 @@
+import { formatLocation } from './chunker.js';
+
+// Number the retrieved chunks so the model can cite them as [1], [2], ...
+export function buildSources(chunks, firstNumber = 1) {
+  return chunks.map((chunk, i) => ({
+    n: firstNumber + i,
+    id: chunk.id,
+    location: formatLocation(chunk),
+    text: chunk.text
+  }));
+}
+
+export function formatContext(sources) {
+  return sources
+    .map(source => `[${source.n}] (${source.id}) ${source.location}\n${source.text}`)
+    .join('\n---\n');
+}
+
+// Match the answer's [n] / [n, m] markers against the sources that were actually sent.
+// Anything else is a citation the model made up.
+export function extractCitations(answer, sources) {
+  const byNumber = new Map(sources.map(source => [source.n, source]));
+  const cited = new Set();
+  const unverified = new Set();
+
+  for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of match[1].split(',').map(Number)) {
+      (byNumber.has(n) ? cited : unverified).add(n);
+    }
+  }
+
+  return {
+    cited: [...cited].sort((a, b) => a - b).map(n => ({ n, id: byNumber.get(n).id })),
+    unverified: [...unverified].sort((a, b) => a - b)
+  };
+}
@@ -0,0 +1,269 @@
+import { parseArgs } from 'util';
+import { C, PASSPHRASE } from './config.js';
+import { TaxEngine } from './engine.js';
+import { formatLocation } from './chunker.js';
+import { formatSearchResult, formatBudget } from './formatter.js';
+import { SessionManager, describeImport } from './session.js';
+import { readImportFile } from './export.js';
+import { isVaultEnabled, createVault, unlockVault, removeVault, encryptStoredFiles, decryptStoredFiles } from './vault.js';
+
+export const USAGE = `Usage:
+  tax-gpt [options]                 Start an interactive session
+  tax-gpt ask [options] "question"  Answer one question and exit
+  echo "question" | tax-gpt ask     Read the question from stdin
+  tax-gpt search [options] terms    Search the publications without an LLM
+  tax-gpt serve [--port N]          Serve the HTTP API (see src/server.js)
+  tax-gpt import [--merge] file...  Import sessions from JSON exports or session files
+  tax-gpt encrypt                   Encrypt saved sessions and the profile with a passphrase
+  tax-gpt decrypt                   Turn encryption off and store them as plain JSON again
+
+Options:
+  --session <id>  Continue a saved session (by id, or by name)
+  --year <YYYY>   Tax year to answer from
+  --json          Print the answer, sources and token usage (ask) or results (search) as JSON
+  --limit <n>     Results per page (search, default 5)
+  --page <n>      Page of results to show (search, default 1)
+  --no-color      Disable colors
+  --plain         Plain text for screen readers and logs: no color, animation
+                  or box drawing (automatic when output isn't a terminal)
+  --merge         When an imported session is already saved, merge the
+                  transcripts instead of importing a copy
+  --debug         Show how each prompt's token budget was spent
+  --host <host>   Address to serve on (default 127.0.0.1)
+  --port <port>   Port to serve on (default 8787)
+  -h, --help      Show this help`;
+
+const COMMANDS = ['ask', 'search', 'serve', 'import', 'encrypt', 'decrypt'];
+
+// process.argv.slice(2) -> { command, question, files, options }; throws on unknown flags
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      session: { type: 'string' },
+      year: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'no-color': { type: 'boolean', default: false },
+      plain: { type: 'boolean', default: false },
+      merge: { type: 'boolean', default: false },
+      debug: { type: 'boolean', default: false },
+      host: { type: 'string' },
+      port: { type: 'string' },
+      limit: { type: 'string' },
+      page: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [first, ...rest] = positionals;
+  if (first && !COMMANDS.includes(first)) {
+    throw new Error(`Unknown command: ${first}`);
+  }
+
+  const taxYear = values.year ? Number(values.year) : null;
+  if (values.year && !Number.isInteger(taxYear)) {
+    throw new Error(`--year expects a year like 2025, got "${values.year}"`);
+  }
+
+  const port = values.port ? Number(values.port) : undefined;
+  if (values.port && !(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw new Error(`--port expects a port number, got "${values.port}"`);
+  }
+
+  const limit = values.limit ? Number(values.limit) : 5;
+  const page = values.page ? Number(values.page) : 1;
+  if (!(Number.isInteger(limit) && limit > 0) || !(Number.isInteger(page) && page > 0)) {
+    throw new Error('--limit and --page expect positive whole numbers');
+  }
+
+  return {
+    command: first || null,
+    question: rest.join(' ').trim(),
+    files: rest,
+    options: {
+      sessionId: values.session || null,
+      taxYear,
+      json: values.json,
+      color: !values['no-color'],
+      plain: values.plain,
+      merge: values.merge,
+      debug: values.debug || undefined,
+      help: values.help,
+      host: values.host,
+      port,
+      limit,
+      page
+    }
+  };
+}
+
+export async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf-8').trim();
+}
+
+// One question in, one answer out: no prompts, spinners or cursor movement.
+// Plain output is the answer followed by the passages it cited; --json adds
+// every retrieved source, tool call and the token usage.
+export async function runAsk(question, { sessionId = null, taxYear = null, json = false, debug } = {}) {
+  const app = new TaxEngine({ taxYear, sessionId, debug });
+  const skipped = await app.loadKnowledge();
+  skipped.forEach(source => console.error(`Skipped ${source.title}: ${source.path} not found`));
+  await app.startSession();
+
+  // Ctrl+C stops the answer but still saves and prints what arrived
+  const onInterrupt = () => app.cancel();
+  process.once('SIGINT', onInterrupt);
+  let result;
+  try {
+    result = await app.answer(question);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+  if (app.debug && !json) {
+    process.stderr.write(formatBudget(app.lastBudget) + '\n');
+  }
+  if (json) {
+    process.stdout.write(JSON.stringify(app.answerDetails(question, result), null, 2) + '\n');
+    return;
+  }
+
+  const { answer, citations } = result;
+  if (app.lastMissingYears.length > 0) {
+    process.stderr.write(C.warning(`Tax year ${app.lastMissingYears.join(', ')} is not loaded. Answering from ${app.describeSources()}.`) + '\n');
+  }
+  process.stdout.write(answer.trim() + '\n');
+  if (citations.cited.length > 0) {
+    process.stdout.write('\n' + citations.cited
+      .map(({ n }) => C.dim(`[${n}] ${app.lastSources.find(s => s.n === n).location}`))
+      .join('\n') + '\n');
+  }
+  if (citations.unverified.length > 0) {
+    process.stderr.write(C.warning(`Unverified citations: ${citations.unverified.map(n => `[${n}]`).join(' ')}`) + '\n');
+  }
+  if (app.lastInterruption) {
+    process.stderr.write(C.warning(`Answer incomplete (${app.lastInterruption.reason})`) + '\n');
+  }
+}
+
+// Retrieval only, so it works without any provider configured
+export async function runSearch(query, { taxYear = null, json = false, limit = 5, page = 1 } = {}) {
+  const app = new TaxEngine({ taxYear });
+  const skipped = await app.loadKnowledge();
+  skipped.forEach(source => console.error(`Skipped ${source.title}: ${source.path} not found`));
+  if (taxYear && !app.getAvailableYears().includes(taxYear)) {
+    throw new Error(`Tax year ${taxYear} is not loaded (available: ${app.getAvailableYears().join(', ')})`);
+  }
+  await app.profileManager.load();
+
+  const results = app.searchPassages(query, { limit: limit + 1, offset: (page - 1) * limit });
+  const hasMore = results.length > limit;
+  const shown = results.slice(0, limit);
+
+  if (json) {
+    process.stdout.write(JSON.stringify({
+      query,
+      taxYear: app.getTaxYear(),
+      page,
+      hasMore,
+      results: shown.map(({ rank, chunk, score }) => ({
+        rank,
+        id: chunk.id,
+        location: formatLocation(chunk),
+        score: Number(score.toFixed(4)),
+        text: chunk.text
+      }))
+    }, null, 2) + '\n');
+    return;
+  }
+
+  if (shown.length === 0) {
+    process.stdout.write(page === 1 ? `No passages match "${query}"\n` : 'No more results\n');
+    return;
+  }
+  process.stdout.write(shown.map(result => formatSearchResult(result, query)).join('\n\n') + '\n');
+  if (hasMore) {
+    process.stdout.write('\n' + C.dim(`More results: --page ${page + 1}`) + '\n');
+  }
+}
+
+// Import each file, carrying on past ones that fail. Returns how many failed.
+export async function runImport(files, { merge = false } = {}) {
+  const sessionManager = new SessionManager();
+  await sessionManager.init();
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const { session, action } = await sessionManager.importSession(await readImportFile(file), { onCollision: merge ? 'merge' : 'copy' });
+      console.log(`${file}: ${describeImport(session, action)}`);
+    } catch (error) {
+      console.error(C.error(`${file}: ${error.message}`));
+      failed++;
+    }
+  }
+  return failed;
+}
+
+const MIN_PASSPHRASE = 8;
+
+// TAX_GPT_PASSPHRASE, else typed at a prompt (twice when it's a new one)
+export async function readPassphrase({ confirm = false } = {}) {
+  if (PASSPHRASE) return PASSPHRASE;
+  if (!process.stdin.isTTY) {
+    throw new Error('Sessions are encrypted and there is no terminal to ask for the passphrase in: set TAX_GPT_PASSPHRASE');
+  }
+  const inquirer = (await import('inquirer')).default;
+  const { passphrase } = await inquirer.prompt([{
+    type: 'password',
+    name: 'passphrase',
+    mask: '*',
+    message: confirm ? 'New passphrase:' : 'Passphrase:',
+    validate: (value) => !confirm || value.length >= MIN_PASSPHRASE || `Use at least ${MIN_PASSPHRASE} characters`
+  }]);
+  if (confirm) {
+    const { again } = await inquirer.prompt([{ type: 'password', name: 'again', mask: '*', message: 'Again:' }]);
+    if (again !== passphrase) throw new Error('The passphrases did not match');
+  }
+  return passphrase;
+}
+
+// Ask for the passphrase once at startup when sessions are encrypted. A typed
+// passphrase gets three tries; one from the environment gets one.
+export async function unlockStorage() {
+  if (!await isVaultEnabled()) return;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await unlockVault(await readPassphrase());
+      return;
+    } catch (error) {
+      if (PASSPHRASE || attempt === 3 || error.message !== 'Wrong passphrase') throw error;
+      console.error(C.error(error.message));
+    }
+  }
+}
+
+// Set up encryption (or finish a migration that was interrupted) and seal
+// every plain session and the profile
+export async function runEncrypt() {
+  if (await isVaultEnabled()) {
+    await unlockStorage();
+  } else {
+    await createVault(await readPassphrase({ confirm: true }));
+  }
+  const count = await encryptStoredFiles();
+  console.log(`Encrypted ${count} file${count === 1 ? '' : 's'}. New sessions are encrypted too.`);
+  console.log(C.warning('Keep the passphrase safe: without it the sessions cannot be recovered.'));
+}
+
+export async function runDecrypt() {
+  if (!await isVaultEnabled()) {
+    console.log('Sessions are not encrypted.');
+    return;
+  }
+  await unlockStorage();
+  const count = await decryptStoredFiles();
+  await removeVault();
+  console.log(`Decrypted ${count} file${count === 1 ? '' : 's'}. Sessions are stored as plain JSON again.`);
+}
@@ -1,76 +1,235 @@
-import fs from 'fs/promises';
-import path from 'path';
 import boxen from 'boxen';
 import chalk from 'chalk';
-import { C, ICONS } from './config.js';
+import { C, ICONS, BOX, OUTPUT } from './config.js';
+import { renderTable, formatSearchResult } from './formatter.js';
+import { formatLocation } from './chunker.js';
+import { highlightMatches } from './retrieval.js';
+import { FILING_STATUSES, CALCULATOR_YEARS, calculateTax, compareScenarios, iraLimit, spouseBoxesAllowed } from './calculator.js';
+import { INCOME_TYPES, STATES, describeProfile, isEmptyProfile } from './profile.js';
+import { readUsageLog, groupUsage, formatCost, emptyUsage } from './usage.js';
+import { parseTags, describeImport } from './session.js';
+import { CommandRegistry, loadPlugins, splitArgs } from './registry.js';
+import { isVaultEnabled } from './vault.js';
+import { EXPORT_FORMATS, writeExport, readImportFile } from './export.js';
+import { providerConfigError } from './providers.js';
+import { TAX_FORMS, readDocumentFile, documentTitle, documentTotals, sameDocument, formatAmount } from './documents.js';
 
-export class CommandHandler {
-  constructor(sessionManager, safePrompt) {
-    this.sessionManager = sessionManager;
-    this.safePrompt = safePrompt;
-  }
+// "$85,000" / "85000" / "" -> number; null when it isn't an amount
+function parseAmount(value) {
+  const cleaned = String(value).replace(/[$,\s]/g, '');
+  if (cleaned === '') return 0;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
 
-  async handle(input) {
-    const command = input.trim().toLowerCase();
+// Box values can be negative: "-25" or "(25.00)"
+function parseBoxAmount(value) {
+  const negative = /^\s*[-(]/.test(value);
+  const amount = parseAmount(String(value).replace(/[()-]/g, ''));
+  return amount === null || !negative ? amount : -amount;
+}
 
-    switch (command) {
-      case '/help':
-        return this.showHelp();
+const amountQuestion = (name, message) => ({
+  type: 'input',
+  name,
+  message: C.system(message),
+  default: '0',
+  validate: (value) => parseAmount(value) !== null || 'Enter a dollar amount'
+});
 
-      case '/quit':
-      case '/exit':
-        return await this.quit();
+const SEARCH_PAGE_SIZE = 5;
 
-      case '/new':
-        return await this.newSession();
+const formatMoney = (amount) => '$' + amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+const formatPercent = (rate) => (rate * 100).toFixed(rate * 100 % 1 === 0 ? 0 : 1) + '%';
 
-      case '/sessions':
-        return this.listSessions();
+export class CommandHandler {
+  constructor(sessionManager, safePrompt, app) {
+    this.sessionManager = sessionManager;
+    this.safePrompt = safePrompt;
+    this.app = app;
+    this.registry = new CommandRegistry();
+    this.registerBuiltins();
+  }
 
-      case '/switch':
-        return await this.switchSession();
+  registerBuiltins() {
+    const commands = [
+      { name: 'help', aliases: ['?'], summary: 'Show commands, or how to use one',
+        args: [{ name: 'command', description: 'A command name, like export', choices: () => this.registry.list().flatMap(c => [c.name, ...c.aliases]) }],
+        run: ({ command }) => this.showHelp(command) },
+      { name: 'new', summary: 'Start new session',
+        args: [{ name: 'name', rest: true, description: 'Name for the session; asked for when left out' }],
+        run: ({ name }) => this.newSession(name) },
+      { name: 'sessions', summary: 'List all sessions (or those with a tag)',
+        args: [{ name: 'tag', rest: true, description: 'Only sessions with this tag' }],
+        run: ({ tag }) => this.listSessions(tag || '') },
+      { name: 'switch', summary: 'Switch to another session',
+        args: [{ name: 'session', rest: true, description: 'Id or name; picked from a list when left out' }],
+        run: ({ session }) => this.switchSession(session) },
+      { name: 'rename', summary: 'Rename this session',
+        args: [{ name: 'name', rest: true, description: 'The new name; asked for when left out' }],
+        run: ({ name }) => this.renameSession(name || '') },
+      { name: 'tag', summary: 'Tag this session',
+        args: [{ name: 'tags', rest: true, description: 'Comma-separated, like: 2025 return, client: Smith' }],
+        run: ({ tags }) => this.tagSession(tags || '') },
+      { name: 'untag', summary: 'Remove tags from this session',
+        args: [{ name: 'tags', rest: true, description: 'Comma-separated; picked from a list when left out' }],
+        run: ({ tags }) => this.untagSession(tags || '') },
+      { name: 'find', summary: 'Search all saved conversations',
+        args: [{ name: 'words', rest: true, required: true, description: 'Messages must contain all of them' }],
+        run: ({ words }) => this.findInSessions(words) },
+      { name: 'clear', summary: 'Clear current history', run: () => this.clearHistory() },
+      { name: 'history', summary: 'Show recent messages', run: () => this.showHistory() },
+      { name: 'sources', summary: 'Show excerpts behind the last answer', run: () => this.showSources() },
+      { name: 'search', summary: 'Search the publications (no AI)',
+        args: [{ name: 'terms', rest: true, required: true }],
+        run: ({ terms }) => this.search(terms) },
+      { name: 'year', summary: 'Choose the tax year',
+        args: [{ name: 'year', type: 'number', choices: () => this.app.getAvailableYears(), description: 'Picked from a list when left out' }],
+        run: ({ year }) => this.selectTaxYear(year) },
+      { name: 'calc', summary: 'Calculate federal income tax', run: () => this.calculate() },
+      { name: 'compare', summary: 'Compare filing status, deduction and IRA choices side by side', run: () => this.compare() },
+      { name: 'profile', summary: 'View or edit your taxpayer profile',
+        args: [{ name: 'action', choices: ['view', 'edit', 'attach', 'detach', 'clear'], description: 'Picked from a list when left out' }],
+        run: ({ action }) => this.manageProfile(action) },
+      { name: 'import-doc', summary: 'Read box values from a W-2, 1099 or 1098',
+        args: [{ name: 'file', rest: true, required: true, description: `Text or CSV export of a ${Object.keys(TAX_FORMS).join(', ')}` }],
+        run: ({ file }) => this.importDocument(file) },
+      { name: 'documents', summary: 'Show imported tax documents, or remove one',
+        args: [{ name: 'action', choices: ['remove'], description: 'remove picks one to take off' }],
+        run: ({ action }) => this.showDocuments(action) },
+      { name: 'retry', summary: 'Regenerate the last answer', run: () => this.app.retry() },
+      { name: 'usage', summary: 'Tokens and cost, per session and all time', run: () => this.showUsage() },
+      { name: 'export', summary: 'Export this session (md, html, json, txt or a client report)',
+        args: [
+          { name: 'format', choices: EXPORT_FORMATS, description: 'Defaults to md; report is a printable client summary' },
+          { name: 'path', rest: true, description: 'File or directory to write to (default: the current directory)' }
+        ],
+        run: ({ format, path: target }) => this.exportSession(format, target) },
+      { name: 'import', summary: 'Import a session from a JSON export',
+        args: [{ name: 'file', rest: true, required: true, description: 'A /export json file, or a session file from another machine' }],
+        run: ({ file }) => this.importSession(file) },
+      { name: 'delete', aliases: ['rm'], summary: 'Delete or securely erase a session', run: () => this.deleteSession() },
+      { name: 'quit', aliases: ['exit', 'q'], summary: 'Exit', run: () => this.quit() }
+    ];
+    commands.forEach(command => this.registry.register(command));
+  }
 
-      case '/clear':
-        return this.clearHistory();
+  // Commands from ~/.tax-gpt/plugins; run with the same context as built-ins
+  async loadPlugins() {
+    const { loaded, failed } = await loadPlugins(this.registry);
+    if (loaded.length > 0) {
+      this.app.printSystem(`Plugin commands: ${loaded.map(c => '/' + c.name).join(', ')}`);
+    }
+    failed.forEach(({ file, error }) => console.log(C.warning(`  ! Plugin ${file}: ${error}`)));
+  }
 
-      case '/history':
-        return this.showHistory();
+  // What a command's run function gets besides its arguments
+  context(input) {
+    return {
+      input,
+      app: this.app,
+      sessionManager: this.sessionManager,
+      prompt: this.safePrompt,
+      registry: this.registry,
+      C,
+      ICONS
+    };
+  }
 
-      case '/export':
-        return await this.exportSession();
+  // Tab completion for the input prompt
+  complete(line) {
+    return this.registry.complete(line);
+  }
 
-      case '/delete':
-        return await this.deleteSession();
+  async handle(input) {
+    if (!input.trim().startsWith('/')) return false;
 
-      default:
-        if (command.startsWith('/')) {
-          console.log('');
-          console.log(C.error('  ' + ICONS.dot + ' ' + `Unknown command: ${command}`));
-          console.log(C.system('  ' + ICONS.system + ' Type /help for commands'));
-          console.log('');
-          return true;
-        }
-        return false;
+    let parsed;
+    try {
+      parsed = this.registry.parse(input);
+    } catch (error) {
+      console.log('');
+      console.log(C.error('  ' + ICONS.error + ' ' + error.message));
+      console.log('');
+      return true;
+    }
+    if (!parsed) {
+      console.log('');
+      console.log(C.error('  ' + ICONS.error + ' ' + `Unknown command: ${splitArgs(input)[0]}`));
+      console.log(C.system('  ' + ICONS.system + ' Type /help for commands'));
+      console.log('');
+      return true;
+    }
+
+    try {
+      await parsed.command.run(parsed.args, this.context(input));
+    } catch (error) {
+      if (error.name === 'ExitPromptError') throw error;
+      console.log('');
+      console.log(C.error('  ' + ICONS.error + ' ' + `/${parsed.command.name} failed: ${error.message}`));
+      console.log('');
     }
+    return true;
   }
 
-  showHelp() {
+  // Generated from the registry: built-ins first, then plugins
+  showHelp(name = null) {
+    if (name) return this.showCommandHelp(this.registry.find(name));
+
+    const commands = this.registry.list();
+    const width = Math.max(...commands.map(c => this.registry.signature(c).length));
+    const line = (command) => C.highlight(this.registry.signature(command).padEnd(width)) + '  ' + command.summary;
+    const builtins = commands.filter(c => !c.plugin).map(line);
+    const plugins = commands.filter(c => c.plugin).map(line);
+    const footer = C.dim('/help <command> for details  ·  Tab completes');
+
     console.log('');
+    if (OUTPUT.plain) {
+      console.log('  Commands:');
+      builtins.forEach(text => console.log('    ' + text));
+      if (plugins.length > 0) {
+        console.log('  Plugins:');
+        plugins.forEach(text => console.log('    ' + text));
+      }
+      console.log('  /help <command> for details');
+      console.log('');
+      return true;
+    }
     console.log(boxen(
-      C.agentLabel('Commands') + '\n\n' +
-      C.highlight('/new') + '      Start new session\n' +
-      C.highlight('/sessions') + ' List all sessions\n' +
-      C.highlight('/switch') + '   Switch to another session\n' +
-      C.highlight('/clear') + '    Clear current history\n' +
-      C.highlight('/history') + '  Show recent messages\n' +
-      C.highlight('/export') + '   Export to markdown\n' +
-      C.highlight('/delete') + '   Delete a session\n' +
-      C.highlight('/quit') + '     Exit',
+      C.agentLabel('Commands') + '\n\n' + builtins.join('\n') +
+      (plugins.length > 0 ? '\n\n' + C.agentLabel('Plugins') + '\n\n' + plugins.join('\n') : '') +
+      '\n\n' + footer,
       { padding: 1, margin: 1, borderStyle: 'round', borderColor: '#48484A' }
     ));
     return true;
   }
 
+  showCommandHelp(command) {
+    console.log('');
+    console.log('  ' + C.highlight(this.registry.signature(command)));
+    console.log('  ' + command.summary);
+    if (command.description) {
+      command.description.split('\n').forEach(text => console.log(C.dim('  ' + text)));
+    }
+    const described = command.args.filter(arg => arg.description || arg.choices);
+    if (described.length > 0) {
+      console.log('');
+      const width = Math.max(...described.map(arg => arg.name.length));
+      described.forEach(arg => {
+        const choices = this.registry.choicesFor(arg);
+        const text = [arg.description, choices.length ? `one of ${choices.join(', ')}` : ''].filter(Boolean).join('; ');
+        console.log(`  ${chalk.white(arg.name.padEnd(width))}  ${C.dim(text)}`);
+      });
+    }
+    if (command.aliases.length > 0) {
+      console.log('');
+      console.log(C.dim(`  Also: ${command.aliases.map(alias => '/' + alias).join(', ')}`));
+    }
+    if (command.plugin) console.log(C.dim(`  From plugin ${command.plugin}`));
+    console.log('');
+    return true;
+  }
+
   async quit() {
     console.log('');
     console.log(C.system('  ' + ICONS.system + ' Saving session...'));
@@ -79,13 +238,16 @@ export class CommandHandler {
     process.exit(0);
   }
 
-  async newSession() {
-    const { sessionName } = await this.safePrompt([{
-      type: 'input',
-      name: 'sessionName',
-      message: C.system('Session name (optional):'),
-      default: ''
-    }]);
+  async newSession(name = null) {
+    let sessionName = name;
+    if (!sessionName) {
+      ({ sessionName } = await this.safePrompt([{
+        type: 'input',
+        name: 'sessionName',
+        message: C.system('Session name (optional):'),
+        default: ''
+      }]));
+    }
     await this.sessionManager.createSession(sessionName || null);
     console.log('');
     console.log(C.system('  ' + ICONS.system + ' ' + `New session: ${this.sessionManager.currentSession.name}`));
@@ -93,54 +255,208 @@ export class CommandHandler {
     return true;
   }
 
-  async listSessions() {
-    await this.sessionManager.loadSessionsList();
-    if (this.sessionManager.sessions.length === 0) {
-      console.log(C.system('  ' + ICONS.system + ' No saved sessions'));
+  // "Dec 3, 2025" for the session listings
+  formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '-';
+  }
+
+  // One line per session for pickers: name, date and id
+  sessionChoice(session) {
+    return { name: `${session.name}  ${C.dim(`${this.formatDate(session.updatedAt)}  ${session.id}`)}`, value: session.id };
+  }
+
+  async listSessions(tag = '') {
+    let sessions = await this.sessionManager.listSessions();
+    if (tag) sessions = sessions.filter(s => s.tags.some(t => t.toLowerCase() === tag.toLowerCase()));
+    if (sessions.length === 0) {
+      console.log(C.system('  ' + ICONS.system + ' ' + (tag ? `No sessions tagged "${tag}"` : 'No saved sessions')));
       console.log('');
       return true;
     }
-    
+
+    const currentId = this.sessionManager.currentSession?.id;
     console.log('');
     console.log(C.agentLabel('  Sessions:'));
-    console.log(C.dim('  ' + '─'.repeat(40)));
-    this.sessionManager.sessions.forEach((id) => {
-      const isCurrent = id === this.sessionManager.currentSession?.id;
+    console.log(C.dim('  ' + BOX.h.repeat(40)));
+    sessions.forEach(s => {
+      const isCurrent = s.id === currentId;
       const prefix = isCurrent ? C.highlight(ICONS.check + ' ') : '  ';
-      console.log(prefix + (isCurrent ? chalk.white(id) : C.dim(id)));
+      const tags = s.tags.length ? C.dim(` [${s.tags.join(', ')}]`) : '';
+      console.log(prefix + (isCurrent ? chalk.white(s.name) : s.name) + tags);
+      console.log(C.dim(`    ${s.id}  ${ICONS.dot}  created ${this.formatDate(s.createdAt)}  ${ICONS.dot}  updated ${this.formatDate(s.updatedAt)}  ${ICONS.dot}  ${s.turns} turn${s.turns === 1 ? '' : 's'}  ${ICONS.dot}  ${(s.model || 'unknown model').split('/').pop()}`));
+      if (s.firstQuestion) {
+        const question = s.firstQuestion.length > 70 ? s.firstQuestion.slice(0, 67) + '...' : s.firstQuestion;
+        console.log(C.dim(`    ${ICONS.user} ${question}`));
+      }
     });
     console.log('');
+    console.log(C.dim(`  ${sessions.length} session${sessions.length === 1 ? '' : 's'}${tag ? ` tagged "${tag}"` : ''}  ${ICONS.dot}  /switch to open one, /find to search them`));
+    console.log('');
     return true;
   }
 
-  async switchSession() {
-    await this.sessionManager.loadSessionsList();
-    if (this.sessionManager.sessions.length === 0) {
+  async switchSession(ref = null) {
+    if (ref) {
+      const id = await this.sessionManager.resolveSession(ref);
+      if (!id) {
+        console.log('');
+        console.log(C.error('  ' + ICONS.error + ' ' + `No session with the id or name "${ref}"`));
+        console.log('');
+        return true;
+      }
+      const session = await this.sessionManager.loadSession(id);
+      console.log('');
+      console.log(C.system('  ' + ICONS.system + ' ' + `Switched to: ${session.name}`));
+      console.log('');
+      return true;
+    }
+
+    const sessions = (await this.sessionManager.listSessions())
+      .filter(s => s.id !== this.sessionManager.currentSession?.id);
+    if (sessions.length === 0) {
       console.log(C.system('  ' + ICONS.system + ' No sessions to switch to'));
       console.log('');
       return true;
     }
     
     const { selected } = await this.safePrompt([{
-      type: 'list',
+      type: 'select',
       name: 'selected',
       message: C.system('Select session:'),
-      choices: this.sessionManager.sessions
-        .filter(id => id !== this.sessionManager.currentSession?.id)
-        .map(id => ({ name: id, value: id }))
+      choices: sessions.map(s => this.sessionChoice(s)),
+      pageSize: 10
     }]);
     
-    await this.sessionManager.loadSession(selected);
+    const session = await this.sessionManager.loadSession(selected);
     console.log('');
-    console.log(C.system('  ' + ICONS.system + ' ' + `Switched to: ${selected}`));
+    console.log(C.system('  ' + ICONS.system + ' ' + `Switched to: ${session.name}`));
     console.log('');
     return true;
   }
 
-  clearHistory() {
+  async renameSession(name) {
+    const session = this.sessionManager.currentSession;
+    if (!session) return true;
+    if (!name.trim()) {
+      ({ name } = await this.safePrompt([{
+        type: 'input',
+        name: 'name',
+        message: C.system('New name:'),
+        default: session.name,
+        validate: (value) => value.trim() !== '' || 'Enter a name'
+      }]));
+    }
+    const previous = session.name;
+    await this.sessionManager.renameSession(name);
+    console.log('');
+    console.log(C.system('  ' + ICONS.system + ' ' + `Renamed: ${previous} ${ICONS.arrow} ${session.name}`));
+    console.log('');
+    return true;
+  }
+
+  showTags() {
+    const tags = this.sessionManager.currentSession?.metadata.tags || [];
+    console.log(C.system('  ' + ICONS.system + ' ' + (tags.length ? `Tags: ${tags.join(', ')}` : 'No tags')));
+    console.log('');
+  }
+
+  // /tag 2025 return, client: Smith
+  async tagSession(text) {
+    const tags = parseTags(text);
+    console.log('');
+    if (tags.length === 0) {
+      console.log(C.dim('  Usage: /tag <tag>[, <tag>...]'));
+      this.showTags();
+      return true;
+    }
+    await this.sessionManager.tagSession(tags);
+    this.showTags();
+    return true;
+  }
+
+  async untagSession(text) {
+    let tags = parseTags(text);
+    const current = this.sessionManager.currentSession?.metadata.tags || [];
+    if (tags.length === 0) {
+      if (current.length === 0) {
+        console.log('');
+        this.showTags();
+        return true;
+      }
+      ({ tags } = await this.safePrompt([{
+        type: 'checkbox',
+        name: 'tags',
+        message: C.system('Remove tags:'),
+        choices: current.map(tag => ({ name: tag, value: tag }))
+      }]));
+    }
+    await this.sessionManager.untagSession(tags);
+    console.log('');
+    this.showTags();
+    return true;
+  }
+
+  // Full-text search of every saved conversation, then optionally open a match
+  async findInSessions(query) {
+    const found = await this.sessionManager.findInSessions(query);
+    console.log('');
+    if (found.length === 0) {
+      console.log(C.system('  ' + ICONS.system + ' ' + `No saved conversations mention "${query}"`));
+      console.log('');
+      return true;
+    }
+
+    // One pass over the plain text: highlighting term by term would match inside
+    // the color codes an earlier term added. Longer terms win where they overlap.
+    const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))]
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(terms.join('|'), 'gi');
+    const mark = (text) => text.replace(pattern, match => C.highlight(match));
+    found.forEach(({ session, matches }) => {
+      const tags = session.tags.length ? C.dim(` [${session.tags.join(', ')}]`) : '';
+      console.log(`  ${chalk.white(session.name)}${tags}  ${C.dim(`${this.formatDate(session.updatedAt)}  ${session.id}`)}`);
+      matches.slice(0, 3).forEach(({ role, excerpt }) => {
+        const icon = role === 'user' ? C.user(ICONS.user) : C.agentLabel(ICONS.agent);
+        console.log(`    ${icon} ${C.dim(mark(excerpt))}`);
+      });
+      if (matches.length > 3) console.log(C.dim(`    ${matches.length - 3} more`));
+      console.log('');
+    });
+
+    const total = found.reduce((sum, { matches }) => sum + matches.length, 0);
+    console.log(C.dim(`  ${total} message${total === 1 ? '' : 's'} in ${found.length} session${found.length === 1 ? '' : 's'}`));
+    const others = found.filter(({ session }) => session.id !== this.sessionManager.currentSession?.id);
+    if (others.length === 0) {
+      console.log('');
+      return true;
+    }
+
+    const { selected } = await this.safePrompt([{
+      type: 'select',
+      name: 'selected',
+      message: C.system('Open:'),
+      choices: [
+        ...others.map(({ session }) => this.sessionChoice(session)),
+        { name: 'Stay here', value: null }
+      ],
+      pageSize: 10
+    }]);
+    if (selected) {
+      const session = await this.sessionManager.loadSession(selected);
+      console.log('');
+      console.log(C.system('  ' + ICONS.system + ' ' + `Switched to: ${session.name}`));
+    }
+    console.log('');
+    return true;
+  }
+
+  async clearHistory() {
     if (this.sessionManager.currentSession) {
       this.sessionManager.currentSession.messages = [];
-      this.sessionManager.saveSession();
+      delete this.sessionManager.currentSession.metadata.summary;
+      this.sessionManager.touch();
+      await this.sessionManager.saveSession();
       console.log(C.system('  ' + ICONS.system + ' History cleared'));
       console.log('');
     }
@@ -156,7 +472,7 @@ export class CommandHandler {
     
     console.log('');
     console.log(C.agentLabel('  History:'));
-    console.log(C.dim('  ' + '─'.repeat(40)));
+    console.log(C.dim('  ' + BOX.h.repeat(40)));
     this.sessionManager.currentSession.messages.forEach(m => {
       const icon = m.role === 'user' ? C.user(ICONS.user) : C.agentLabel(ICONS.agent);
       const preview = m.content.substring(0, 60) + (m.content.length > 60 ? '...' : '');
@@ -166,26 +482,747 @@ export class CommandHandler {
     return true;
   }
 
-  async exportSession() {
-    if (!this.sessionManager.currentSession) {
+  showSources() {
+    const messages = this.sessionManager.currentSession?.messages || [];
+    const lastAnswer = [...messages].reverse().find(m => m.role === 'assistant');
+    if (!lastAnswer?.sources?.length) {
+      console.log(C.system('  ' + ICONS.system + ' No sources for the last answer'));
+      console.log('');
+      return true;
+    }
+
+    const cited = new Set((lastAnswer.citations?.cited || []).map(c => c.n));
+    const unverified = lastAnswer.citations?.unverified || [];
+
+    console.log('');
+    console.log(C.agentLabel('  Sources:'));
+    console.log(C.dim('  ' + BOX.h.repeat(40)));
+    lastAnswer.sources.forEach(source => {
+      const marker = cited.has(source.n) ? C.highlight(ICONS.check) : C.dim(ICONS.dot);
+      console.log(`  ${marker} ${chalk.white(`[${source.n}] ${source.location}`)} ${C.dim(source.id)}`);
+      source.text.split('\n').forEach(line => console.log(C.dim('    ' + line)));
+      console.log('');
+    });
+    if (unverified.length > 0) {
+      console.log(C.warning(`  ! Unverified: ${unverified.map(n => `[${n}]`).join(' ')} cited but never retrieved`));
+      console.log('');
+    }
+    return true;
+  }
+
+  // Retrieval only: page through ranked passages and open the section around one
+  async search(query) {
+    let offset = 0;
+    let showPage = true;
+    while (true) {
+      const results = this.app.searchPassages(query, { limit: SEARCH_PAGE_SIZE + 1, offset });
+      const page = results.slice(0, SEARCH_PAGE_SIZE);
+      if (page.length === 0) {
+        console.log(C.system('  ' + ICONS.system + ' ' + (offset === 0 ? `No passages match "${query}"` : 'No more results')));
+        console.log('');
+        return true;
+      }
+
+      if (showPage) {
+        console.log('');
+        page.forEach(result => {
+          console.log(formatSearchResult(result, query));
+          console.log('');
+        });
+      }
+
+      const { action } = await this.safePrompt([{
+        type: 'select',
+        name: 'action',
+        message: C.system('Search:'),
+        choices: [
+          ...(results.length > SEARCH_PAGE_SIZE ? [{ name: 'More results', value: 'more' }] : []),
+          ...page.map(result => ({ name: `Open section ${result.rank}. ${formatLocation(result.chunk)}`, value: result.rank })),
+          { name: 'Done', value: 'done' }
+        ],
+        pageSize: 10
+      }]);
+
+      if (action === 'done') {
+        console.log('');
+        return true;
+      }
+      if (action === 'more') {
+        offset += SEARCH_PAGE_SIZE;
+        showPage = true;
+        continue;
+      }
+
+      this.showSection(page.find(result => result.rank === action).chunk, query);
+      showPage = false;
+    }
+  }
+
+  showSection(chunk, query) {
+    const section = this.app.sectionFor(chunk);
+    const last = section[section.length - 1];
+    console.log('');
+    console.log(C.agentLabel('  ' + formatLocation({ ...section[0], pageEnd: last.pageEnd })));
+    console.log(C.dim('  ' + BOX.h.repeat(40)));
+    section
+      .flatMap(part => part.text.split('\n'))
+      .forEach(line => console.log('  ' + highlightMatches(line, query, word => C.highlight(word))));
+    console.log('');
+  }
+
+  async selectTaxYear(yearArg) {
+    const available = this.app.getAvailableYears();
+    let year = yearArg ? Number(yearArg) : null;
+
+    if (!year) {
+      ({ year } = await this.safePrompt([{
+        type: 'select',
+        name: 'year',
+        message: C.system('Tax year:'),
+        choices: available.map(y => ({
+          name: `${y}  ${C.dim(this.app.describeSources(y))}`,
+          value: y
+        })),
+        default: this.app.getTaxYear()
+      }]));
+    }
+
+    try {
+      await this.app.setTaxYear(year);
+      console.log('');
+      console.log(C.system('  ' + ICONS.system + ' ' + `Tax year: ${year} (${this.app.describeSources(year)})`));
+    } catch (error) {
+      console.log('');
+      console.log(C.error('  ' + ICONS.error + ' ' + error.message));
+    }
+    console.log('');
+    return true;
+  }
+
+  // The /calc questions, also the base scenario for /compare. Imported forms fill in what they can.
+  taxQuestions(totals, { itemizedDefault = 0 } = {}) {
+    return [
+      {
+        type: 'select',
+        name: 'filingStatus',
+        message: C.system('Filing status:'),
+        choices: Object.entries(FILING_STATUSES).map(([value, name]) => ({ name, value })),
+        default: this.app.getActiveProfile()?.filingStatus ?? undefined
+      },
+      { ...amountQuestion('income', 'Total income (wages, interest, etc.):'), default: totals.income > 0 ? String(totals.income) : undefined },
+      amountQuestion('adjustments', 'Adjustments to income (IRA, HSA, student loan interest):'),
+      { ...amountQuestion('itemizedDeductions', 'Itemized deductions (0 to take the standard deduction):'), default: String(itemizedDefault) },
+      { ...amountQuestion('qualifiedIncome', 'Qualified dividends and long-term capital gains (included in income):'), default: String(totals.qualifiedIncome) },
+      {
+        type: 'confirm',
+        name: 'spouseNoIncome',
+        message: C.system('Did your spouse have no income, file no return, and can no one claim them as a dependent?'),
+        default: false,
+        when: (answers) => answers.filingStatus === 'mfs'
+      },
+      {
+        type: 'checkbox',
+        name: 'boxes',
+        message: C.system('Check all that apply:'),
+        choices: (answers) => [
+          { name: 'I am 65 or older', value: 'age65' },
+          { name: 'I am blind', value: 'blind' },
+          ...(spouseBoxesAllowed(answers.filingStatus, answers.spouseNoIncome) ? [
+            { name: 'My spouse is 65 or older', value: 'spouseAge65' },
+            { name: 'My spouse is blind', value: 'spouseBlind' }
+          ] : []),
+          { name: 'Someone else can claim me as a dependent', value: 'dependent' }
+        ]
+      }
+    ];
+  }
+
+  taxInputs(answers) {
+    return {
+      filingStatus: answers.filingStatus,
+      income: parseAmount(answers.income),
+      adjustments: parseAmount(answers.adjustments),
+      itemizedDeductions: parseAmount(answers.itemizedDeductions),
+      qualifiedIncome: parseAmount(answers.qualifiedIncome),
+      spouseNoIncome: Boolean(answers.spouseNoIncome),
+      ...Object.fromEntries(answers.boxes.map(box => [box, true])),
+      year: this.app.getTaxYear()
+    };
+  }
+
+  async calculate() {
+    const totals = documentTotals(this.app.getDocuments());
+    const answers = await this.safePrompt(this.taxQuestions(totals));
+
+    let result;
+    try {
+      result = calculateTax(this.taxInputs(answers));
+    } catch (error) {
+      console.log('');
+      console.log(C.error('  ' + ICONS.error + ' ' + error.message));
+      console.log('');
+      return true;
+    }
+
+    const rows = [
+      ['Adjusted gross income', formatMoney(result.agi)],
+      [result.deductionType === 'itemized' ? 'Itemized deductions' : 'Standard deduction', formatMoney(result.deduction)],
+      ['Taxable income', formatMoney(result.taxableIncome)],
+      ['Tax', formatMoney(result.tax)],
+      ['Marginal rate', formatPercent(result.marginalRate)],
+      ['Effective rate', formatPercent(result.effectiveRate)]
+    ];
+    if (totals.withholding > 0) {
+      const balance = totals.withholding - result.tax;
+      rows.push(['Withheld (your forms)', formatMoney(totals.withholding)]);
+      rows.push([balance >= 0 ? 'Refund' : 'Balance due', formatMoney(Math.abs(balance))]);
+    }
+    const lines = [
+      `| ${result.year} · ${FILING_STATUSES[result.filingStatus]} | Amount |`,
+      '|---|---|',
+      ...rows.map(([label, value]) => `| ${label} | ${value} |`)
+    ];
+
+    process.stdout.write(renderTable(lines, 0).rendered);
+    if (result.deductionType === 'itemized') {
+      console.log(C.dim(`  Itemizing beats the ${formatMoney(result.standardDeduction)} standard deduction by ${formatMoney(result.itemizedDeductions - result.standardDeduction)}`));
+    }
+    console.log(C.dim('  ' + ICONS.dot + ' Regular income tax only, before credits and other taxes'));
+    console.log('');
+    return true;
+  }
+
+  // What-if scenarios: the /calc inputs as entered, then each chosen variant on its own
+  async compare() {
+    const totals = documentTotals(this.app.getDocuments());
+    const year = this.app.getTaxYear();
+    const age = this.app.getActiveProfile()?.age ?? null;
+    const answers = await this.safePrompt([
+      ...this.taxQuestions(totals, { itemizedDefault: totals.mortgageInterest }),
+      { ...amountQuestion('withholding', 'Federal tax withheld and estimated payments:'), default: String(totals.withholding) },
+      {
+        type: 'checkbox',
+        name: 'variants',
+        message: C.system('Compare with:'),
+        choices: (answers) => [
+          ...(['mfj', 'mfs'].includes(answers.filingStatus) ? [{
+            name: `Filing ${answers.filingStatus === 'mfj' ? 'separately' : 'jointly'}`,
+            value: 'status',
+            checked: true
+          }] : []),
+          { name: 'The other deduction (standard or itemized)', value: 'deduction', checked: true },
+          { name: 'An extra IRA contribution', value: 'ira' }
+        ],
+        validate: (choices) => choices.length > 0 || 'Pick at least one'
+      },
+      {
+        type: 'input',
+        name: 'share',
+        message: C.system('Your share of the income, deductions and withholding (%):'),
+        default: '50',
+        when: (answers) => answers.variants.includes('status'),
+        validate: (value) => (value.trim() !== '' && Number(value) >= 0 && Number(value) <= 100) || 'Enter a percentage from 0 to 100'
+      },
+      {
+        ...amountQuestion('ira', 'Extra IRA contribution:'),
+        default: CALCULATOR_YEARS.includes(year) ? String(iraLimit(age, year)) : '0',
+        when: (answers) => answers.variants.includes('ira')
+      }
+    ]);
+
+    const base = this.taxInputs(answers);
+    const withholding = parseAmount(answers.withholding);
+    const share = answers.variants.includes('status') ? Number(answers.share) / 100 : undefined;
+    // Separate returns are only split when they're being compared with a joint one
+    const asEntered = base.filingStatus === 'mfs' && share !== undefined ? { share } : {};
+    const scenarios = [{ label: 'As entered', changes: asEntered }];
+    const notes = [];
+    const topics = [];
+
+    let results;
+    try {
+      if (answers.variants.includes('status')) {
+        scenarios.push(base.filingStatus === 'mfj'
+          ? { label: 'Filing separately', changes: { filingStatus: 'mfs', share } }
+          : { label: 'Filing jointly', changes: { filingStatus: 'mfj' } });
+        notes.push('Separate returns split every amount by your share and lose some credits, such as the earned income and education credits');
+        topics.push('married filing separately or jointly');
+      }
+      if (answers.variants.includes('deduction')) {
+        if (base.itemizedDeductions > 0) {
+          const [first] = compareScenarios(base, scenarios.slice(0, 1));
+          const other = first.result.deductionType === 'itemized' ? 'standard' : 'itemized';
+          scenarios.push({
+            label: other === 'itemized' ? 'Itemizing' : 'Standard deduction',
+            changes: { ...asEntered, deductionType: other }
+          });
+          topics.push('itemized deductions or standard deduction');
+        } else {
+          notes.push('Enter your itemized deductions to compare them with the standard deduction');
+        }
+      }
+      const ira = parseAmount(answers.ira ?? 0);
+      if (ira > 0) {
+        scenarios.push({ label: `+ ${formatMoney(ira)} IRA`, changes: { ...asEntered, adjustments: base.adjustments + ira } });
+        notes.push('A traditional IRA deduction is limited if you or your spouse is covered by a retirement plan at work');
+        topics.push('traditional IRA contribution deduction');
+      }
+      results = compareScenarios(base, scenarios);
+    } catch (error) {
+      console.log('');
+      console.log(C.error('  ' + ICONS.error + ' ' + error.message));
+      console.log('');
+      return true;
+    }
+    if (results.length === 1) {
+      console.log('');
+      notes.forEach(note => this.app.printSystem(note));
+      console.log('');
+      return true;
+    }
+
+    const baseTax = results[0].result.tax;
+    const balance = (result) => {
+      const amount = withholding - result.tax;
+      return `${formatMoney(Math.abs(amount))} ${amount >= 0 ? 'refund' : 'due'}`;
+    };
+    const difference = (result, i) => {
+      if (i === 0) return '—';
+      const delta = result.tax - baseTax;
+      return delta === 0 ? 'same' : `${delta > 0 ? '+' : '-'}${formatMoney(Math.abs(delta))}`;
+    };
+    const rows = [
+      ['Adjusted gross income', ({ result }) => formatMoney(result.agi)],
+      ['Deduction', ({ result }) => `${formatMoney(result.deduction)} ${result.deductionType}`],
+      ['Taxable income', ({ result }) => formatMoney(result.taxableIncome)],
+      ['Tax', ({ result }) => formatMoney(result.tax)],
+      ['Refund or balance due', ({ result }) => balance(result)],
+      ['Tax vs. as entered', ({ result }, i) => difference(result, i)]
+    ];
+    const lines = [
+      `| ${year} · ${FILING_STATUSES[base.filingStatus]} | ${results.map(r => r.label).join(' | ')} |`,
+      `|---|${results.map(() => '---').join('|')}|`,
+      ...rows.map(([label, value]) => `| ${label} | ${results.map(value).join(' | ')} |`)
+    ];
+
+    process.stdout.write(renderTable(lines, 0).rendered);
+    const best = results.reduce((lowest, r) => r.result.tax < lowest.result.tax ? r : lowest);
+    console.log(C.dim(best === results[0]
+      ? '  The return as entered has the lowest tax'
+      : `  Lowest tax: ${best.label}, ${formatMoney(baseTax - best.result.tax)} less`));
+    notes.forEach(note => console.log(C.dim('  ' + ICONS.dot + ' ' + note)));
+    console.log(C.dim('  ' + ICONS.dot + ' Regular income tax only, before credits and other taxes'));
+    console.log('');
+
+    if (providerConfigError()) return true;
+    const { explain } = await this.safePrompt([{
+      type: 'confirm',
+      name: 'explain',
+      message: C.system('Ask Tax GPT to explain the differences?'),
+      default: false
+    }]);
+    if (!explain) {
+      console.log('');
+      return true;
+    }
+
+    const question = [
+      `Explain the differences between these ${year} scenarios from the tax calculator, and what else I should weigh before choosing. Cite Publication 17.`,
+      '',
+      ...lines,
+      ...(withholding > 0 ? ['', `Federal tax withheld: ${formatMoney(withholding)}`] : []),
+      ...notes.map(note => `- ${note}`)
+    ].join('\n');
+    console.log('');
+    console.log(C.user('  ' + ICONS.user + ' Explain the differences between these scenarios'));
+    console.log('');
+    await this.app.respond(question, { profileUpdates: false, searchQuery: topics.join(', ') });
+    return true;
+  }
+
+  async manageProfile(action) {
+    const attached = this.app.isProfileAttached();
+    if (!action) {
+      ({ action } = await this.safePrompt([{
+        type: 'select',
+        name: 'action',
+        message: C.system('Profile:'),
+        choices: [
+          { name: 'View', value: 'view' },
+          { name: 'Edit', value: 'edit' },
+          attached
+            ? { name: 'Detach from this session', value: 'detach' }
+            : { name: 'Attach to this session', value: 'attach' },
+          { name: 'Clear', value: 'clear' }
+        ]
+      }]));
+    }
+
+    switch (action) {
+      case 'view':
+        return this.showProfile();
+      case 'edit':
+        return await this.editProfile();
+      case 'attach':
+      case 'detach':
+        await this.app.setProfileAttached(action === 'attach');
+        console.log('');
+        console.log(C.system('  ' + ICONS.system + ' ' + (action === 'attach'
+          ? 'Profile attached: answers in this session use it'
+          : 'Profile detached: this session answers without it')));
+        console.log('');
+        return true;
+      case 'clear': {
+        const { confirm } = await this.safePrompt([{
+          type: 'confirm',
+          name: 'confirm',
+          message: C.system('Delete your saved profile?'),
+          default: false
+        }]);
+        if (confirm) {
+          await this.app.profileManager.clear();
+          console.log(C.system('  ' + ICONS.system + ' Profile cleared'));
+        }
+        console.log('');
+        return true;
+      }
+    }
+  }
+
+  // Box values from a form file, shown for checking (and correcting) before
+  // they're attached to the session or saved with the profile
+  async importDocument(file) {
+    const documents = await readDocumentFile(file);
+    for (const document of documents) {
+      const target = await this.reviewDocument(document);
+      if (target === 'skip') continue;
+      await this.attachDocument(document, target);
+    }
+    console.log('');
+    return true;
+  }
+
+  printDocument(document) {
+    console.log('');
+    console.log(C.agentLabel(`  ${documentTitle(document)}`) + C.dim(`  ${TAX_FORMS[document.form].title}${document.file ? `, ${document.file}` : ''}`));
+    if (document.boxes.length === 0) {
+      console.log(C.warning('  ! No box values found'));
+      return;
+    }
+    const lines = [
+      '| Box | Description | Amount |',
+      '|---|---|---:|',
+      ...document.boxes.map(box => `| ${box.box} | ${box.label} | ${formatAmount(box.amount)} |`)
+    ];
+    process.stdout.write(renderTable(lines, 0).rendered);
+  }
+
+  async reviewDocument(document) {
+    const spec = TAX_FORMS[document.form];
+    for (;;) {
+      this.printDocument(document);
+      const year = this.app.getTaxYear();
+      if (document.taxYear && document.taxYear !== year) {
+        console.log(C.warning(`  ! This form is for ${document.taxYear}; answers are for ${year} (/year changes that)`));
+      }
+      const { action } = await this.safePrompt([{
+        type: 'select',
+        name: 'action',
+        message: C.system('Use these values?'),
+        choices: [
+          { name: 'Attach to this session', value: 'session' },
+          { name: 'Save to my profile (used in every session)', value: 'profile' },
+          { name: 'Correct a box', value: 'edit' },
+          { name: 'Skip this form', value: 'skip' }
+        ]
+      }]);
+      if (action !== 'edit') return action;
+
+      const { box } = await this.safePrompt([{
+        type: 'select',
+        name: 'box',
+        message: C.system('Box:'),
+        choices: spec.boxes.map(({ box, label }) => {
+          const found = document.boxes.find(b => b.box === box);
+          return { name: `${box.padEnd(3)} ${label}  ${C.dim(found ? formatAmount(found.amount) : 'not found')}`, value: box };
+        }),
+        pageSize: 10
+      }]);
+      const current = document.boxes.find(b => b.box === box);
+      const { value } = await this.safePrompt([{
+        type: 'input',
+        name: 'value',
+        message: C.system(`Box ${box} (empty to leave it out):`),
+        default: current ? String(current.amount) : '',
+        validate: (input) => input.trim() === '' || parseBoxAmount(input) !== null || 'Enter a dollar amount'
+      }]);
+      const { field, label } = spec.boxes.find(b => b.box === box);
+      document.boxes = spec.boxes
+        .map(b => b.box === box
+          ? (value.trim() === '' ? null : { box, field, label, amount: parseBoxAmount(value) })
+          : document.boxes.find(found => found.box === b.box) || null)
+        .filter(Boolean);
+    }
+  }
+
+  // Saving an identical form again replaces it rather than adding a duplicate
+  async attachDocument(document, target) {
+    const saved = { ...document, importedAt: new Date().toISOString() };
+    if (target === 'profile') {
+      const profile = this.app.profileManager.profile;
+      const incomeType = TAX_FORMS[document.form].incomeType;
+      await this.app.profileManager.update({
+        documents: [...profile.documents.filter(d => !sameDocument(d, document)), saved],
+        incomeTypes: incomeType && !profile.incomeTypes.includes(incomeType) ? [...profile.incomeTypes, incomeType] : profile.incomeTypes
+      });
+      console.log(C.system('  ' + ICONS.system + ' ' + `Saved to your profile: ${documentTitle(document)}`));
+      if (!this.app.isProfileAttached()) {
+        console.log(C.dim('  The profile is detached from this session: /profile attach to use it here'));
+      }
+      return;
+    }
+    const metadata = this.sessionManager.currentSession.metadata;
+    metadata.documents = [...(metadata.documents || []).filter(d => !sameDocument(d, document)), saved];
+    this.sessionManager.touch();
+    await this.sessionManager.saveSession();
+    console.log(C.system('  ' + ICONS.system + ' ' + `Attached to this session: ${documentTitle(document)}`));
+  }
+
+  async showDocuments(action) {
+    const profile = this.app.profileManager.profile;
+    const session = this.sessionManager.currentSession;
+    const attached = [
+      ...profile.documents.map(document => ({ document, where: 'profile' })),
+      ...(session?.metadata.documents || []).map(document => ({ document, where: 'session' }))
+    ];
+    if (attached.length === 0) {
+      console.log('');
+      console.log(C.system('  ' + ICONS.system + ' No tax documents yet. Use /import-doc <file>'));
+      console.log('');
+      return true;
+    }
+
+    if (action !== 'remove') {
+      attached.forEach(({ document, where }) => {
+        this.printDocument(document);
+        console.log(C.dim(`  ${where === 'profile' ? 'Saved with your profile' : 'Attached to this session'}`));
+      });
+      const totals = documentTotals(this.app.getDocuments());
+      if (totals.income > 0) {
+        console.log('');
+        console.log(C.dim(`  Income on these forms: ${formatAmount(totals.income)} · federal tax withheld: ${formatAmount(totals.withholding)}`));
+      }
+      console.log('');
+      return true;
+    }
+
+    const { index } = await this.safePrompt([{
+      type: 'select',
+      name: 'index',
+      message: C.system('Remove:'),
+      choices: attached.map(({ document, where }, i) => ({ name: `${documentTitle(document)}  ${C.dim(where)}`, value: i }))
+    }]);
+    const { document, where } = attached[index];
+    if (where === 'profile') {
+      await this.app.profileManager.update({ documents: profile.documents.filter(d => d !== document) });
+    } else {
+      session.metadata.documents = session.metadata.documents.filter(d => d !== document);
+      this.sessionManager.touch();
+      await this.sessionManager.saveSession();
+    }
+    console.log(C.system('  ' + ICONS.system + ' ' + `Removed: ${documentTitle(document)}`));
+    console.log('');
+    return true;
+  }
+
+  showProfile() {
+    const profile = this.app.profileManager.profile;
+    console.log('');
+    if (isEmptyProfile(profile)) {
+      console.log(C.system('  ' + ICONS.system + ' No profile saved. Use /profile edit, or mention your situation in a question'));
+      console.log('');
+      return true;
+    }
+
+    console.log(C.agentLabel('  Profile:'));
+    console.log(C.dim('  ' + BOX.h.repeat(40)));
+    describeProfile(profile).forEach(([label, value]) => {
+      console.log(`  ${C.dim(label.padEnd(18))}${chalk.white(value)}`);
+    });
+    console.log('');
+    console.log(C.dim(`  ${this.app.isProfileAttached() ? 'Attached to' : 'Detached from'} this session`));
+    console.log('');
+    return true;
+  }
+
+  async editProfile() {
+    const profile = this.app.profileManager.profile;
+    const answers = await this.safePrompt([
+      {
+        type: 'select',
+        name: 'filingStatus',
+        message: C.system('Filing status:'),
+        choices: [
+          { name: 'Not sure yet', value: null },
+          ...Object.entries(FILING_STATUSES).map(([value, name]) => ({ name, value }))
+        ],
+        default: profile.filingStatus
+      },
+      {
+        type: 'input',
+        name: 'age',
+        message: C.system('Your age (blank to skip):'),
+        default: profile.age === null ? '' : String(profile.age),
+        validate: (value) => value.trim() === '' || /^\d{1,3}$/.test(value.trim()) || 'Enter a whole number'
+      },
+      {
+        type: 'input',
+        name: 'dependents',
+        message: C.system('Dependents\' ages, comma-separated (blank for none):'),
+        default: profile.dependents.map(d => d.age ?? '?').join(', '),
+        validate: (value) => value.trim() === '' || /^\s*(\d{1,3}|\?)(\s*,\s*(\d{1,3}|\?))*\s*$/.test(value) || 'Enter ages like 4, 9'
+      },
+      {
+        type: 'checkbox',
+        name: 'incomeTypes',
+        message: C.system('Income types:'),
+        choices: INCOME_TYPES.map(type => ({ name: type, value: type, checked: profile.incomeTypes.includes(type) }))
+      },
+      {
+        type: 'input',
+        name: 'state',
+        message: C.system('State (two-letter code, blank to skip):'),
+        default: profile.state || '',
+        validate: (value) => value.trim() === '' || Object.hasOwn(STATES, value.trim().toUpperCase()) || 'Enter a state code like CA'
+      },
+      {
+        type: 'confirm',
+        name: 'hsa',
+        message: C.system('Do you contribute to an HSA?'),
+        default: profile.hsa
+      },
+      {
+        type: 'confirm',
+        name: 'ira',
+        message: C.system('Do you contribute to an IRA?'),
+        default: profile.ira
+      }
+    ]);
+
+    await this.app.profileManager.update({
+      filingStatus: answers.filingStatus,
+      age: answers.age.trim() ? Number(answers.age) : null,
+      dependents: answers.dependents.trim()
+        ? answers.dependents.split(',').map(age => ({ age: age.trim() === '?' ? null : Number(age) }))
+        : [],
+      incomeTypes: answers.incomeTypes,
+      state: answers.state.trim() ? answers.state.trim().toUpperCase() : null,
+      hsa: answers.hsa,
+      ira: answers.ira
+    });
+    console.log('');
+    console.log(C.system('  ' + ICONS.system + ' Profile saved'));
+    console.log('');
+    return true;
+  }
+
+  // Token counts and cost for this session, then everything in the usage log by user and model
+  async showUsage() {
+    const session = this.sessionManager.currentSession;
+    const answered = (session?.messages || []).filter(m => m.role === 'assistant' && m.usage);
+    const entries = await readUsageLog();
+    const row = (label, usage) =>
+      `| ${label} | ${usage.answers} | ${usage.promptTokens.toLocaleString()} | ${usage.completionTokens.toLocaleString()} | ${formatCost(usage)} |`;
+    const table = (title, rows) => {
+      const lines = [`| ${title} | Answers | Prompt tokens | Completion tokens | Cost |`, '|---|---|---|---|---|', ...rows];
+      process.stdout.write(renderTable(lines, 0).rendered);
+    };
+
+    console.log('');
+    table('This session', [row(session?.name || '-', {
+      answers: answered.length,
+      ...(session?.metadata.usage || emptyUsage())
+    })]);
+
+    if (entries.length === 0) {
+      console.log(C.dim('  No usage recorded yet'));
+      console.log('');
+      return true;
+    }
+    const byKey = (field) => [...groupUsage(entries, field)]
+      .sort((a, b) => b[1].cost - a[1].cost || b[1].totalTokens - a[1].totalTokens)
+      .map(([key, usage]) => row(key, usage));
+    table('All time by user', byKey('user'));
+    table('All time by model', byKey('model'));
+    console.log(C.dim(`  ${entries.length.toLocaleString()} answers since ${new Date(entries[0].timestamp).toLocaleDateString()}`));
+    console.log('');
+    return true;
+  }
+
+  async exportSession(format = 'md', target = null) {
+    const session = this.sessionManager.currentSession;
+    if (!session) {
       console.log(C.error('  ' + ICONS.dot + ' No active session'));
       return true;
     }
-    const exportPath = path.join(process.cwd(), `${this.sessionManager.currentSession.id}.md`);
-    const exportContent = `# ${this.sessionManager.currentSession.name}\n\n` +
-      this.sessionManager.currentSession.messages
-        .map(m => `## ${m.role === 'user' ? 'Q' : 'A'}\n\n${m.content}\n`)
-        .join('\n---\n\n');
-    await fs.writeFile(exportPath, exportContent);
+    const file = await writeExport(session, format || 'md', target, { profile: this.app.getActiveProfile() });
     console.log('');
-    console.log(C.system('  ' + ICONS.system + ' ' + `Exported: ${exportPath}`));
+    console.log(C.system('  ' + ICONS.system + ' ' + `Exported: ${file}`));
+    if (format === 'html' || format === 'report') {
+      console.log(C.dim('  Open it in a browser and print to save a PDF'));
+    }
+    if (await isVaultEnabled()) {
+      console.log(C.warning('  ' + ICONS.system + ' Exports are not encrypted: keep the file somewhere safe'));
+    }
+    console.log('');
+    return true;
+  }
+
+  async importSession(file) {
+    const data = await readImportFile(file);
+
+    // A saved session with the same id is usually an earlier copy of this one
+    let onCollision = 'copy';
+    const existing = typeof data?.id === 'string' ? await this.sessionManager.readSession(data.id) : null;
+    if (existing) {
+      ({ onCollision } = await this.safePrompt([{
+        type: 'select',
+        name: 'onCollision',
+        message: C.system(`"${existing.name}" is already saved with this id:`),
+        choices: [
+          { name: 'Merge: add the messages it doesn\'t have, in time order', value: 'merge' },
+          { name: 'Keep both: import this as a copy', value: 'copy' },
+          { name: 'Cancel', value: 'cancel' }
+        ]
+      }]));
+      if (onCollision === 'cancel') {
+        console.log('');
+        return true;
+      }
+    }
+
+    const { session, action } = await this.sessionManager.importSession(data, { onCollision });
+    console.log('');
+    console.log(C.system('  ' + ICONS.system + ' ' + describeImport(session, action)));
+    if (session.id !== this.sessionManager.currentSession?.id) {
+      const { open } = await this.safePrompt([{
+        type: 'confirm',
+        name: 'open',
+        message: C.system('Switch to it?'),
+        default: true
+      }]);
+      if (open) {
+        await this.sessionManager.loadSession(session.id);
+        console.log(C.system('  ' + ICONS.system + ' ' + `Switched to: ${session.name}`));
+      }
+    }
     console.log('');
     return true;
   }
 
   async deleteSession() {
-    await this.sessionManager.loadSessionsList();
-    const deletable = this.sessionManager.sessions.filter(id => id !== this.sessionManager.currentSession?.id);
+    const deletable = (await this.sessionManager.listSessions())
+      .filter(s => s.id !== this.sessionManager.currentSession?.id);
     if (deletable.length === 0) {
       console.log(C.system('  ' + ICONS.system + ' No other sessions to delete'));
       console.log('');
@@ -193,14 +1230,32 @@ export class CommandHandler {
     }
     
     const { toDelete } = await this.safePrompt([{
-      type: 'list',
+      type: 'select',
       name: 'toDelete',
       message: C.system('Delete session:'),
-      choices: deletable.map(id => ({ name: id, value: id }))
+      choices: deletable.map(s => this.sessionChoice(s)),
+      pageSize: 10
     }]);
     
-    await this.sessionManager.deleteSession(toDelete);
-    console.log(C.system('  ' + ICONS.system + ' ' + `Deleted: ${toDelete}`));
+    // Secure erase overwrites the file first; the default when sessions are encrypted
+    const { how } = await this.safePrompt([{
+      type: 'select',
+      name: 'how',
+      message: C.system('Delete how?'),
+      choices: [
+        { name: 'Delete', value: 'delete' },
+        { name: 'Securely erase (overwrite the file, then delete)', value: 'secure' },
+        { name: 'Cancel', value: 'cancel' }
+      ],
+      default: await isVaultEnabled() ? 'secure' : 'delete'
+    }]);
+    if (how === 'cancel') {
+      console.log('');
+      return true;
+    }
+
+    await this.sessionManager.deleteSession(toDelete, { secure: how === 'secure' });
+    console.log(C.system('  ' + ICONS.system + ' ' + `${how === 'secure' ? 'Erased' : 'Deleted'}: ${deletable.find(s => s.id === toDelete).name}`));
     console.log('');
     return true;
   }
@@ -1,16 +1,51 @@
 import os from 'os';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import dotenv from 'dotenv';
+
+// Load .env before any constant below reads process.env
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Configuration Constants
 export const MODEL = process.env.MODEL || 'google/gemini-3-flash-preview';
-export const MAX_CONTEXT_CHARS = 120000;
-export const MAX_HISTORY_TURNS = 10;
+// Prompt sizing in tokens: the window comes from the model name unless CONTEXT_WINDOW is set
+export const CONTEXT_WINDOW = Number(process.env.CONTEXT_WINDOW) || null;
+export const MAX_RESPONSE_TOKENS = Number(process.env.MAX_RESPONSE_TOKENS) || 1500;
+export const DEBUG = /^(1|true)$/i.test(process.env.TAX_GPT_DEBUG || '');
+// Conversation context per question: recent turns plus a summary (extractive or llm) of older ones
+export const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET) || 4000;
+export const HISTORY_SUMMARY = process.env.HISTORY_SUMMARY || 'extractive';
 export const STREAM_DELAY = 8;
+export const SERVER_HOST = process.env.HOST || '127.0.0.1';
+export const SERVER_PORT = Number(process.env.PORT) || 8787;
+export const USE_TOOLS = process.env.USE_TOOLS !== 'false';
+
+// LLM provider: openrouter, openai (any OpenAI-compatible base URL) or mock (offline)
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openrouter';
+export const LLM_BASE_URL = process.env.LLM_BASE_URL || '';
+export const LLM_API_KEY = process.env.LLM_API_KEY || '';
+export const MOCK_RESPONSES = process.env.MOCK_RESPONSES || '';
+// Retries for rate limits (429), server errors (5xx) and dropped connections, and
+// how long a request may go without sending anything before it's abandoned
+export const LLM_MAX_RETRIES = /^\d+$/.test(process.env.LLM_MAX_RETRIES || '') ? Number(process.env.LLM_MAX_RETRIES) : 3;
+export const REQUEST_TIMEOUT = (Number(process.env.LLM_TIMEOUT) || 60) * 1000;
+// Unlocks encrypted sessions without a prompt (ask, serve, scripts)
+export const PASSPHRASE = process.env.TAX_GPT_PASSPHRASE || '';
 
 // Directory Paths
 export const CONFIG_DIR = path.join(os.homedir(), '.tax-gpt');
 export const SESSIONS_DIR = path.join(CONFIG_DIR, 'sessions');
+export const INDEX_PATH = path.join(CONFIG_DIR, 'index.json');
+export const PROFILE_PATH = path.join(CONFIG_DIR, 'profile.json');
+export const VAULT_PATH = path.join(CONFIG_DIR, 'vault.json');
+export const PLUGINS_DIR = process.env.TAX_GPT_PLUGINS || path.join(CONFIG_DIR, 'plugins');
+export const PRICES_PATH = process.env.PRICES_PATH || path.join(CONFIG_DIR, 'prices.json');
+export const USAGE_LOG = process.env.USAGE_LOG || path.join(CONFIG_DIR, 'usage.jsonl');
+export const KNOWLEDGE_BASE_DIR = path.join(__dirname, '..', 'knowledge-base');
+export const KB_MANIFEST = process.env.KB_MANIFEST || path.join(KNOWLEDGE_BASE_DIR, 'manifest.json');
 
 // Color Scheme
 export const C = {
@@ -23,6 +58,7 @@ export const C = {
   highlight: chalk.hex('#34C759'),
   error: chalk.hex('#FF3B30'),
   warning: chalk.hex('#FFCC00'),
+  code: chalk.hex('#5AC8FA'),
 };
 
 // Icons
@@ -32,5 +68,33 @@ export const ICONS = {
   system: '•',
   arrow: '→',
   check: '✓',
-  dot: '·'
+  dot: '·',
+  error: '·',
+  bullet: '•',
+  tool: '⚙'
+};
+
+// Box-drawing characters for tables, rules and frames
+export const BOX = {
+  h: '─', v: '│',
+  tl: '┌', tr: '┐', bl: '└', br: '┘',
+  t: '┬', b: '┴', l: '├', r: '┤', x: '┼'
 };
+
+// Plain output for screen readers, logs and NO_COLOR: no color, animation,
+// cursor movement or box drawing, just text and ASCII
+export const OUTPUT = { plain: false };
+
+export function plainOutputWanted(flag = false) {
+  return flag ||
+    /^(1|true)$/i.test(process.env.TAX_GPT_PLAIN || '') ||
+    Boolean(process.env.NO_COLOR) ||
+    !process.stdout.isTTY;
+}
+
+export function usePlainOutput() {
+  OUTPUT.plain = true;
+  chalk.level = 0;
+  Object.assign(ICONS, { user: '>', agent: '*', system: '-', arrow: '->', check: '*', dot: '-', error: 'Error:', bullet: '-', tool: 'tool:' });
+  Object.assign(BOX, { h: '-', v: '|', tl: '+', tr: '+', bl: '+', br: '+', t: '+', b: '+', l: '+', r: '+', x: '+' });
+}
@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Box values from tax forms saved as text (copied out of a PDF or a payroll or
+// bank site) or as CSV. Parsing is local and pattern-based: a box is found by
+// the label printed next to it ("Wages, tips, other compensation 85,000.00"),
+// or by its number ("Box 1: 85,000.00"). Nothing is used until the user has
+// seen the values and confirmed them.
+
+// The boxes read from each form. field names the value for the prompt and /calc.
+export const TAX_FORMS = {
+  'W-2': {
+    title: 'Wage and Tax Statement',
+    pattern: /\bW-?2\b|wage and tax statement/i,
+    incomeType: 'wages',
+    boxes: [
+      { box: '1', field: 'wages', label: 'Wages, tips, other compensation', pattern: /wages,? tips,?( and)? other comp/i },
+      { box: '2', field: 'federalWithholding', label: 'Federal income tax withheld', pattern: /federal income tax withheld/i },
+      { box: '3', field: 'socialSecurityWages', label: 'Social security wages', pattern: /social security wages/i },
+      { box: '4', field: 'socialSecurityTax', label: 'Social security tax withheld', pattern: /social security tax withheld/i },
+      { box: '5', field: 'medicareWages', label: 'Medicare wages and tips', pattern: /medicare wages/i },
+      { box: '6', field: 'medicareTax', label: 'Medicare tax withheld', pattern: /medicare tax withheld/i },
+      { box: '16', field: 'stateWages', label: 'State wages, tips, etc.', pattern: /state wages/i },
+      { box: '17', field: 'stateWithholding', label: 'State income tax', pattern: /state income tax/i }
+    ]
+  },
+  '1099-INT': {
+    title: 'Interest Income',
+    pattern: /\b1099-?INT\b|interest income/i,
+    incomeType: 'interest',
+    boxes: [
+      { box: '1', field: 'interest', label: 'Interest income', pattern: /^(box\s*)?(1\b\W*)?interest income/i },
+      { box: '2', field: 'earlyWithdrawalPenalty', label: 'Early withdrawal penalty', pattern: /early withdrawal penalty/i },
+      { box: '3', field: 'treasuryInterest', label: 'Interest on U.S. savings bonds and Treasury obligations', pattern: /interest on u\.?\s?s\.? savings bonds/i },
+      { box: '4', field: 'federalWithholding', label: 'Federal income tax withheld', pattern: /federal income tax withheld/i },
+      { box: '8', field: 'taxExemptInterest', label: 'Tax-exempt interest', pattern: /tax-exempt interest/i }
+    ]
+  },
+  '1099-DIV': {
+    title: 'Dividends and Distributions',
+    pattern: /\b1099-?DIV\b|dividends and distributions/i,
+    incomeType: 'dividends',
+    boxes: [
+      { box: '1a', field: 'ordinaryDividends', label: 'Total ordinary dividends', pattern: /total ordinary dividends/i },
+      { box: '1b', field: 'qualifiedDividends', label: 'Qualified dividends', pattern: /qualified dividends/i },
+      { box: '2a', field: 'capitalGainDistributions', label: 'Total capital gain distributions', pattern: /total capital gain distr/i },
+      { box: '4', field: 'federalWithholding', label: 'Federal income tax withheld', pattern: /federal income tax withheld/i },
+      { box: '5', field: 'section199aDividends', label: 'Section 199A dividends', pattern: /section 199a dividends/i },
+      { box: '7', field: 'foreignTaxPaid', label: 'Foreign tax paid', pattern: /foreign tax paid/i }
+    ]
+  },
+  '1099-NEC': {
+    title: 'Nonemployee Compensation',
+    pattern: /\b1099-?NEC\b|nonemployee compensation/i,
+    incomeType: 'self-employment',
+    boxes: [
+      { box: '1', field: 'nonemployeeCompensation', label: 'Nonemployee compensation', pattern: /nonemployee compensation/i },
+      { box: '4', field: 'federalWithholding', label: 'Federal income tax withheld', pattern: /federal income tax withheld/i }
+    ]
+  },
+  '1098': {
+    title: 'Mortgage Interest Statement',
+    pattern: /\b1098\b(?!-)|mortgage interest statement/i,
+    incomeType: null,
+    boxes: [
+      { box: '1', field: 'mortgageInterest', label: 'Mortgage interest received from payer(s)/borrower(s)', pattern: /mortgage interest received/i },
+      { box: '2', field: 'mortgagePrincipal', label: 'Outstanding mortgage principal', pattern: /outstanding mortgage principal/i },
+      { box: '5', field: 'mortgageInsurance', label: 'Mortgage insurance premiums', pattern: /mortgage insurance premiums/i },
+      { box: '6', field: 'pointsPaid', label: 'Points paid on purchase of principal residence', pattern: /points paid/i },
+      { box: '10', field: 'propertyTax', label: 'Other: property tax', pattern: /property tax|real estate tax/i }
+    ]
+  }
+};
+
+// Files bigger than this aren't a single form
+const MAX_DOCUMENT_BYTES = 512 * 1024;
+
+// "$85,000.00", "85000", "(1,200.50)": groups of three or cents mark an amount,
+// and parentheses make it negative, as in accounting exports.
+// Bare whole numbers are only trusted after a label or "Box N".
+const AMOUNT = /(\(\s?)?\$?\s?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d{1,2})?)(\s?\))?(?![\d%/-])/g;
+const isFormatted = (text) => /\$|,\d{3}|\.\d{1,2}$/.test(text.trim().replace(/^\(|\)$/g, ''));
+
+// "PAYER'S name, street address, ..." on a form, "Payer:" in a CSV column
+const PAYER_LABEL = /\b(employer|payer|lender|recipient\/lender|filer)(['’]s)?\b[^:\n]*\bname\b|^(employer|payer|lender|bank)\s*:/i;
+
+function amounts(text, { bare = true } = {}) {
+  return [...text.matchAll(AMOUNT)]
+    .filter(match => bare || isFormatted(match[0]))
+    .map(match => (match[1] && match[3] ? -1 : 1) * Number(match[2].replace(/,/g, '')));
+}
+
+// A CSV line as cells, honouring quotes: 'a,"b, c",d' -> ['a', 'b, c', 'd']
+export function splitCsvLine(line, delimiter = ',') {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+const isNumberCell = (cell) => /^\(?\$?\s?-?[\d,]+(\.\d+)?\)?$/.test(cell);
+
+// CSV exports come two ways: a row per box ("Box 1,Wages...,85000"), or a
+// header row of box names with a row of values per form (a bank's 1099-INT
+// export for several accounts). Either way each form becomes lines of text the
+// text parser reads: one list of lines per form.
+function csvToLines(text, delimiter) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(line => splitCsvLine(line, delimiter));
+  const [header, ...data] = rows;
+  const labels = Object.values(TAX_FORMS).flatMap(spec => spec.boxes.map(box => box.pattern));
+  const wide = data.length > 0 && !header.some(isNumberCell) &&
+    header.some(cell => labels.some(pattern => pattern.test(cell))) &&
+    data.every(row => row.length === header.length && row.some(isNumberCell));
+  if (!wide) return [rows.map(row => row.filter(Boolean).join(' '))];
+  return data.map(row => header.map((name, i) => `${name}: ${row[i]}`));
+}
+
+function detectForm(lines, file) {
+  const scored = Object.entries(TAX_FORMS).map(([form, spec]) => {
+    let score = lines.filter(line => spec.pattern.test(line)).length;
+    score += spec.boxes.filter(box => lines.some(line => box.pattern.test(line))).length;
+    if (file && spec.pattern.test(path.basename(file).replace(/[_.]/g, ' '))) score += 2;
+    return { form, score };
+  });
+  const best = scored.sort((a, b) => b.score - a.score)[0];
+  return best.score > 0 ? best.form : null;
+}
+
+// "For calendar year 2025" or "Tax year: 2025" first, then a year on the line
+// naming the form, skipping revision dates like "(Rev. January 2024)"
+function detectTaxYear(lines, spec) {
+  const stated = lines.map(line => line.match(/\b(?:tax|calendar) year\W*(20\d{2})\b/i)).find(Boolean);
+  if (stated) return Number(stated[1]);
+  for (const line of lines) {
+    if (!spec.pattern.test(line) && !/\bform\b/i.test(line)) continue;
+    const year = line.replace(/\(rev\.[^)]*\)/gi, '').match(/\b(20\d{2})\b/);
+    if (year) return Number(year[1]);
+  }
+  return null;
+}
+
+function detectPayer(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    if (!PAYER_LABEL.test(lines[i])) continue;
+    const sameLine = lines[i].split(/:\s*/).slice(1).join(': ').trim();
+    const name = sameLine || lines[i + 1]?.trim();
+    if (name && /[a-z]/i.test(name) && !PAYER_LABEL.test(name)) return name.slice(0, 80);
+  }
+  return null;
+}
+
+// The value for a box: the amount after its label on the same line, or on the
+// next line; otherwise from a line that starts with the box number
+function findBox(lines, box, boxes) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(box.pattern);
+    if (!match) continue;
+    const rest = lines[i].slice(match.index + match[0].length);
+    // "Wages: 85000" (a CSV column) can be a bare number; after a label without
+    // the colon a bare number is more likely the next box's number
+    const found = amounts(rest, { bare: /^[^\d$]*:/.test(rest) });
+    if (found.length > 0) return found[0];
+
+    const next = lines[i + 1]?.trim() || '';
+    if (/^(\(?\$?\s?[\d,]+(\.\d{1,2})?\)?\s*)+$/.test(next)) {
+      const values = amounts(next);
+      // Labels side by side with their values on the line below, as text
+      // copied from a PDF often comes out
+      const labels = boxes
+        .map(other => ({ other, at: lines[i].search(other.pattern) }))
+        .filter(label => label.at >= 0)
+        .sort((a, b) => a.at - b.at);
+      if (values.length === labels.length) return values[labels.findIndex(label => label.other === box)];
+    }
+  }
+  const numbered = new RegExp(`^\\s*(box\\s*)?${box.box}(?![\\w.,])[\\s.:)\\-–]+(.*)$`, 'i');
+  for (const line of lines) {
+    const match = line.match(numbered);
+    if (!match) continue;
+    const found = amounts(match[2], { bare: Boolean(match[1]) });
+    if (found.length > 0) return found.at(-1);
+  }
+  return null;
+}
+
+function parseForm(lines, file) {
+  const form = detectForm(lines, file);
+  if (!form) return null;
+  const spec = TAX_FORMS[form];
+  const boxes = spec.boxes
+    .map(box => ({ box: box.box, field: box.field, label: box.label, amount: findBox(lines, box, spec.boxes) }))
+    .filter(box => box.amount !== null);
+  return {
+    form,
+    taxYear: detectTaxYear(lines, spec),
+    payer: detectPayer(lines),
+    file: file ? path.basename(file) : null,
+    boxes
+  };
+}
+
+// Forms in a text or CSV export: [{ form, taxYear, payer, file, boxes: [{ box, field, label, amount }] }].
+// Throws when no supported form is recognised.
+export function parseDocument(text, { file = null } = {}) {
+  const extension = file ? path.extname(file).toLowerCase() : '';
+  const delimiter = extension === '.tsv' || /\t/.test(text.split('\n')[0]) ? '\t' : ',';
+  const forms = ['.csv', '.tsv'].includes(extension) || delimiter === '\t'
+    ? csvToLines(text, delimiter)
+    : [text.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean)];
+
+  const documents = forms.map(lines => parseForm(lines, file)).filter(Boolean);
+  if (documents.length === 0) {
+    throw new Error(`No supported form found${file ? ` in ${path.basename(file)}` : ''} (${Object.keys(TAX_FORMS).join(', ')})`);
+  }
+  return documents;
+}
+
+export async function readDocumentFile(file) {
+  const resolved = path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir()));
+  let stats;
+  try {
+    stats = await fs.stat(resolved);
+  } catch {
+    throw new Error(`File not found: ${file}`);
+  }
+  if (!stats.isFile()) throw new Error(`${file} is not a file`);
+  if (stats.size > MAX_DOCUMENT_BYTES) throw new Error(`${file} is too large to be a single tax form`);
+  const buffer = await fs.readFile(resolved);
+  if (buffer.subarray(0, 5).toString() === '%PDF-') {
+    throw new Error(`${file} is a PDF: save it as text (or copy its text into a .txt file) or use the CSV download`);
+  }
+  return parseDocument(buffer.toString('utf-8').replace(/^\uFEFF/, ''), { file: resolved });
+}
+
+export const formatAmount = (amount) => (amount < 0 ? '-$' : '$') +
+  Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// "W-2 2025 · Acme Corp"
+export function documentTitle(document) {
+  return [`${document.form}${document.taxYear ? ` ${document.taxYear}` : ''}`, document.payer].filter(Boolean).join(' · ');
+}
+
+// Importing the same file twice shouldn't count its income twice. Two accounts
+// at one bank are separate forms with the same payer, so the boxes must match too.
+const boxKey = document => document.boxes.map(box => `${box.field}=${box.amount}`).join(',');
+
+export function sameDocument(a, b) {
+  return a.form === b.form && a.taxYear === b.taxYear && (a.payer || '') === (b.payer || '') && boxKey(a) === boxKey(b);
+}
+
+export const boxValue = (document, field) => document.boxes.find(box => box.field === field)?.amount ?? 0;
+
+// Totals /calc starts from: income from every form, the part taxed at capital
+// gains rates, and the federal tax already withheld
+export function documentTotals(documents) {
+  const cents = (amount) => Math.round(amount * 100) / 100;
+  const sum = (...fields) => cents(documents.reduce((total, document) =>
+    total + fields.reduce((subtotal, field) => subtotal + boxValue(document, field), 0), 0));
+  return {
+    income: sum('wages', 'interest', 'ordinaryDividends', 'capitalGainDistributions', 'nonemployeeCompensation'),
+    qualifiedIncome: sum('qualifiedDividends', 'capitalGainDistributions'),
+    withholding: sum('federalWithholding'),
+    mortgageInterest: sum('mortgageInterest')
+  };
+}
@@ -0,0 +1,665 @@
+import { MODEL, LLM_PROVIDER, INDEX_PATH, USE_TOOLS, HISTORY_TOKEN_BUDGET, HISTORY_SUMMARY, CONTEXT_WINDOW, MAX_RESPONSE_TOKENS, DEBUG, REQUEST_TIMEOUT } from './config.js';
+import { SessionManager, SessionNotFoundError } from './session.js';
+import { SearchIndex, fingerprint } from './retrieval.js';
+import { loadManifest, loadSources, chunkSources, mentionedTaxYears } from './knowledge.js';
+import { buildSources, formatContext, extractCitations } from './citations.js';
+import { TOOL_DEFINITIONS, MAX_TOOL_ROUNDS, runTool } from './tools.js';
+import { createProvider, withRetry } from './providers.js';
+import { splitHistory, extractiveSummary, summaryBudget } from './history.js';
+import { DEFAULT_PRICES, emptyUsage, combineUsage, usageCost, usageUser, loadPrices, appendUsageLog } from './usage.js';
+import { estimateTokens, messageTokens, contextWindow, responseReserve, fitRanked } from './tokens.js';
+import { ProfileManager, isEmptyProfile, describeProfile, profileSearchTerms } from './profile.js';
+import { documentTitle, formatAmount } from './documents.js';
+
+function profilePrompt(profile) {
+  if (!profile) return '';
+  return `TAXPAYER PROFILE (saved by the user; tailor thresholds, credits and examples to it, and don't ask for these facts again):
+${describeProfile(profile).map(([label, value]) => `- ${label}: ${value}`).join('\n')}
+
+`;
+}
+
+function documentsPrompt(documents) {
+  if (documents.length === 0) return '';
+  return `TAX DOCUMENTS (box values from the user's forms, confirmed by the user; use these figures rather than asking for them, and pass them to the calculator tools):
+${documents.map(document => `- ${documentTitle(document)}: ${document.boxes.map(box => `box ${box.box} ${box.label} ${formatAmount(box.amount)}`).join('; ')}`).join('\n')}
+
+`;
+}
+
+// Question answering without any terminal I/O: retrieval, prompting, tool calls
+// and session bookkeeping. The CLI (TaxGPT) and the HTTP server both build on it.
+export class TaxEngine {
+  constructor({ taxYear = null, sessionId = null, provider = null, debug = DEBUG } = {}) {
+    this.defaultTaxYear = taxYear;
+    this.sessionId = sessionId;
+    this.provider = provider;
+    this.debug = debug;
+    this.sources = [];
+    this.chunks = [];
+    this.index = null;
+    this.lastSources = [];
+    this.lastMissingYears = [];
+    this.pendingMessages = [];
+    this.lastToolCalls = [];
+    this.lastUsage = null;
+    this.lastBudget = null;
+    this.lastInterruption = null;
+    this.abortController = null;
+    this.prices = DEFAULT_PRICES;
+    this.sessionManager = new SessionManager();
+    this.profileManager = new ProfileManager();
+  }
+
+  // Returns the manifest entries that were skipped as optional and missing
+  async loadKnowledge() {
+    const manifest = await loadManifest();
+    const { loaded, skipped } = await loadSources(manifest);
+    this.sources = loaded;
+    this.chunks = chunkSources(loaded, 3000);
+    this.index = await this.loadIndex(this.chunks);
+    return skipped;
+  }
+
+  // A fresh engine for one session that shares this engine's loaded knowledge base
+  fork({ taxYear = null, sessionId = null } = {}) {
+    const engine = new TaxEngine({ taxYear, sessionId, provider: this.provider, debug: this.debug });
+    engine.sources = this.sources;
+    engine.chunks = this.chunks;
+    engine.index = this.index;
+    engine.prices = this.prices;
+    return engine;
+  }
+
+  // Reuse the index persisted under CONFIG_DIR unless the chunks have changed since it was built
+  async loadIndex(chunks) {
+    const docs = chunks.map(chunk => chunk.text);
+    const cached = await SearchIndex.load(INDEX_PATH, fingerprint(docs));
+    if (cached) return cached;
+
+    const index = SearchIndex.build(docs);
+    try {
+      await index.save(INDEX_PATH);
+    } catch {
+      // A read-only home directory just means rebuilding on the next start
+    }
+    return index;
+  }
+
+  // Created on first use so retrieval-only features work without provider settings
+  getProvider() {
+    return this.provider ||= createProvider();
+  }
+
+  // Ranked passages with their BM25 scores. The active profile nudges ranking
+  // toward passages that apply to the taxpayer.
+  searchPassages(query, { limit = 5, offset = 0, years = [this.getTaxYear()] } = {}) {
+    const profile = this.getActiveProfile();
+    return this.index
+      .search(query, offset + limit, idx => years.includes(this.chunks[idx].source.taxYear), profile ? profileSearchTerms(profile) : '')
+      .slice(offset)
+      .map(({ idx, score }, i) => ({ rank: offset + i + 1, chunk: this.chunks[idx], score }));
+  }
+
+  findRelevantChunks(query, maxChunks = 5, years = [this.getTaxYear()]) {
+    return this.searchPassages(query, { limit: maxChunks, years }).map(result => result.chunk);
+  }
+
+  // The run of neighbouring chunks under the same chapter and heading as chunk
+  sectionFor(chunk) {
+    const idx = this.chunks.indexOf(chunk);
+    const sameSection = (other) => other && other.source.id === chunk.source.id &&
+      other.headingPath.join('\u0000') === chunk.headingPath.join('\u0000');
+    let start = idx;
+    let end = idx;
+    while (sameSection(this.chunks[start - 1])) start--;
+    while (sameSection(this.chunks[end + 1])) end++;
+    return this.chunks.slice(start, end + 1);
+  }
+
+  // Sessions use the saved profile unless it was detached from them with /profile
+  isProfileAttached() {
+    return this.sessionManager.currentSession?.metadata.profileAttached !== false;
+  }
+
+  async setProfileAttached(attached) {
+    if (!this.sessionManager.currentSession) return;
+    this.sessionManager.currentSession.metadata.profileAttached = attached;
+    await this.sessionManager.saveSession();
+  }
+
+  getActiveProfile() {
+    const profile = this.profileManager.profile;
+    return this.isProfileAttached() && !isEmptyProfile(profile) ? profile : null;
+  }
+
+  // Forms from /import-doc: those saved with the profile (when it's attached) and the session's own
+  getDocuments() {
+    return [
+      ...(this.getActiveProfile()?.documents || []),
+      ...(this.sessionManager.currentSession?.metadata.documents || [])
+    ];
+  }
+
+  getAvailableYears() {
+    return [...new Set(this.sources.map(source => source.taxYear))].sort((a, b) => b - a);
+  }
+
+  // The session's year wins, then --year, then the newest loaded year
+  getTaxYear() {
+    return this.sessionManager.currentSession?.metadata.taxYear
+      ?? this.defaultTaxYear
+      ?? this.getAvailableYears()[0];
+  }
+
+  async setTaxYear(year) {
+    if (!this.getAvailableYears().includes(year)) {
+      throw new Error(`Tax year ${year} is not loaded (available: ${this.getAvailableYears().join(', ')})`);
+    }
+    if (this.sessionManager.currentSession) {
+      this.sessionManager.currentSession.metadata.taxYear = year;
+      await this.sessionManager.saveSession();
+    }
+  }
+
+  // e.g. "IRS Publication 17 (2025)"
+  describeSources(year = this.getTaxYear()) {
+    return this.sources
+      .filter(source => source.taxYear === year)
+      .map(source => `${source.title} (${source.taxYear})`)
+      .join(', ');
+  }
+
+  // The configured model, e.g. "google/gemini-3-flash-preview via openrouter"
+  describeModel() {
+    return LLM_PROVIDER === 'mock' ? 'mock answers' : `${MODEL} via ${LLM_PROVIDER}`;
+  }
+
+  buildSystemPrompt(context, summary = '', isFirstMessage = false, yearNote = '') {
+    const year = this.getTaxYear();
+    const sourceNames = this.describeSources(year);
+    const profile = this.getActiveProfile();
+    const basePrompt = `You are Tax GPT, a tax savings assistant powered by ${sourceNames}.
+
+YOUR MISSION:
+Help users legally minimize their tax liability and keep more of their money. Every interaction should move toward identifying deductions, credits, and strategies they might be missing.
+
+CORE PRINCIPLES:
+1. TAX SAVINGS FIRST - Always look for opportunities to reduce taxable income or increase credits
+2. PROACTIVE GUIDANCE - Don't just answer questions; suggest related savings opportunities
+3. SPECIFICITY WINS - Give exact dollar amounts, income thresholds, and form numbers
+4. CLARIFY TO SAVE - Ask about their situation to find credits/deductions they qualify for
+
+APPROACH:
+- Frame answers around "Here's how this affects your bottom line..."
+- After answering, suggest 1-2 related tax savings opportunities
+- Ask: "Do you also [qualify for X / have Y situation]?" to uncover more savings
+- Always mention: "Many people miss this deduction..." when relevant
+
+RULES:
+- Answer using ONLY the ${sourceNames} context provided
+- All figures are for tax year ${year} unless an excerpt says otherwise
+- Be conversational and enthusiastic about finding savings
+- Use bullet points for deductions/credits lists
+- Cite specific sections, tables, and dollar thresholds
+- Cite the excerpts you rely on inline as [1], [2] using the numbers above each excerpt, and mention their chapter and page. Never cite a number that isn't listed
+- Format: $X,XXX for money, percentages as X%
+${USE_TOOLS ? `- Never do tax arithmetic yourself: call compute_tax, standard_deduction or credit_phaseout for every tax amount, deduction or credit figure, and use search_knowledge_base when the excerpts don't cover the question
+` : ''}- Never suggest illegal tax evasion - only legal avoidance strategies
+
+${isFirstMessage ? `OPENING GREETING (use this exactly or adapt slightly):
+"Welcome to Tax GPT! 💰\n\nI'm here to help you pay less in taxes and keep more of your hard-earned money. Whether you're filing for the first time or looking for deductions you might have missed, I'll search through ${sourceNames} to find every legal way to reduce your tax bill.
+
+Quick questions to get you thinking about savings:
+• What's the standard deduction for ${year} and should I itemize instead?
+• Am I missing any tax credits I qualify for?
+• How can I reduce my taxable income before the deadline?
+• What's the best filing status for my situation?
+
+What would you like to explore? I'm ready to help you save!"
+
+` : ''}${profilePrompt(profile)}${documentsPrompt(this.getDocuments())}${yearNote ? `TAX YEAR NOTICE:\n${yearNote}\n\n` : ''}${sourceNames.toUpperCase()} CONTEXT:
+${context}
+
+${summary ? `EARLIER IN THIS CONVERSATION (summary; the latest turns follow as messages):\n${summary}` : ''}`;
+    return basePrompt;
+  }
+
+  // Loaded years the question asks about are searched alongside the active year;
+  // years that aren't loaded get an explicit notice instead of silently using other figures
+  resolveQuestionYears(question) {
+    const activeYear = this.getTaxYear();
+    const available = this.getAvailableYears();
+    const mentioned = mentionedTaxYears(question);
+    const missing = mentioned.filter(year => !available.includes(year));
+    const years = [...new Set([activeYear, ...mentioned.filter(year => available.includes(year))])];
+
+    const yearNote = missing.length > 0
+      ? `The user asked about tax year ${missing.join(' and ')}, which is not loaded (loaded: ${available.join(', ')}). Start your answer by saying so explicitly, and make clear that any figures you give are for ${years.join('/')} and may differ for ${missing.join('/')}.`
+      : '';
+    return { years, missing, yearNote };
+  }
+
+  // One AbortController per answer, from the first request through every tool round
+  isAnswering() {
+    return this.abortController !== null;
+  }
+
+  // Stop the answer in progress. What has streamed so far is kept, marked interrupted.
+  cancel(reason = 'cancelled') {
+    this.abortController?.abort(reason);
+  }
+
+  endRequest() {
+    this.abortController = null;
+  }
+
+  // Told before each retry of a failed request; the terminal overrides it to say so
+  onRetry() {}
+
+  // searchQuery replaces the question for retrieval when the question is mostly figures
+  async askQuestion(question, { searchQuery = question } = {}) {
+    this.abortController = new AbortController();
+    try {
+      return await this.startAnswer(question, searchQuery);
+    } catch (error) {
+      const { signal } = this.abortController;
+      this.endRequest();
+      if (signal.aborted) throw new Error(signal.reason === 'timeout' ? 'The model did not respond in time' : 'Cancelled');
+      throw error;
+    }
+  }
+
+  async startAnswer(question, searchQuery = question) {
+    const { years, missing, yearNote } = this.resolveQuestionYears(question);
+    this.lastMissingYears = missing;
+    const relevantChunks = this.findRelevantChunks(searchQuery, 5, years);
+
+    const { summary, recent } = await this.buildHistory(question);
+    const isFirstMessage = recent.length === 0 && !summary;
+    const { sources, recent: sentTurns } = this.fitPrompt({
+      sources: buildSources(relevantChunks),
+      frame: this.buildSystemPrompt('', summary, isFirstMessage, yearNote),
+      summary,
+      recent,
+      question
+    });
+    this.lastSources = sources;
+
+    const messages = [
+      {
+        role: 'system',
+        content: this.buildSystemPrompt(formatContext(sources), summary, isFirstMessage, yearNote)
+      },
+      ...sentTurns.map(m => ({ role: m.role, content: m.content })),
+      { role: 'user', content: question }
+    ];
+
+    this.pendingMessages = messages;
+    this.lastToolCalls = [];
+    return this.createCompletion(messages);
+  }
+
+  // Size the prompt to the model's context window: the prompt frame, profile, history
+  // and question are counted first, then excerpts fill what's left in rank order.
+  // If even the best excerpt can't fit, the oldest recent turns give way to it.
+  // The breakdown is kept in lastBudget for --debug.
+  fitPrompt({ sources, frame, summary, recent, question }) {
+    const window = contextWindow(MODEL, CONTEXT_WINDOW);
+    const reserved = responseReserve(window, MAX_RESPONSE_TOKENS);
+    // Imported tax documents count toward the profile
+    const profile = estimateTokens(profilePrompt(this.getActiveProfile()) + documentsPrompt(this.getDocuments()));
+    const tools = USE_TOOLS ? estimateTokens(JSON.stringify(TOOL_DEFINITIONS)) : 0;
+    const fixed = {
+      system: estimateTokens(frame) - profile - estimateTokens(summary),
+      profile,
+      tools,
+      question: messageTokens({ content: question })
+    };
+    const sourceTokens = (source) => estimateTokens(formatContext([source])) + 2;
+
+    let turns = recent;
+    const historyTokens = () => estimateTokens(summary) + turns.reduce((sum, m) => sum + messageTokens(m), 0);
+    const available = () => window - reserved - Object.values(fixed).reduce((a, b) => a + b, 0) - historyTokens();
+    while (turns.length > 0 && sources.length > 0 && available() < sourceTokens(sources[0])) {
+      turns = turns.slice(turns[0].role === 'user' && turns[1]?.role === 'assistant' ? 2 : 1);
+    }
+
+    const { kept, dropped, used } = fitRanked(sources, Math.max(0, available()), sourceTokens);
+    const history = historyTokens();
+    this.lastBudget = {
+      model: MODEL,
+      window,
+      reserved,
+      ...fixed,
+      history,
+      context: used,
+      total: Object.values(fixed).reduce((a, b) => a + b, 0) + history + used,
+      excerpts: { sent: kept.length, dropped: dropped.length },
+      turnsDropped: recent.length - turns.length
+    };
+    return { sources: kept, recent: turns };
+  }
+
+  // Recent turns verbatim within HISTORY_TOKEN_BUDGET, older ones as a rolling summary.
+  // The summary is cached in the session metadata and only extended as turns age out.
+  async buildHistory(question) {
+    const session = this.sessionManager.currentSession;
+    if (!session) return { summary: '', recent: [] };
+
+    // The question itself is usually the last message already; it's sent separately
+    const messages = session.messages.at(-1)?.role === 'user' && session.messages.at(-1).content === question
+      ? session.messages.slice(0, -1)
+      : session.messages;
+    const { older, recent } = splitHistory(messages, HISTORY_TOKEN_BUDGET);
+    if (older.length === 0) return { summary: '', recent };
+
+    const cached = session.metadata.summary;
+    if (cached?.through === older.length) return { summary: cached.text, recent };
+
+    // Extend the cached summary when it covers a prefix of what has aged out; otherwise start over
+    const reusable = cached && cached.through < older.length;
+    const previous = reusable ? cached.text : '';
+    const newlyOlder = older.slice(reusable ? cached.through : 0);
+
+    const text = HISTORY_SUMMARY === 'llm'
+      ? await this.summarizeWithModel(previous, newlyOlder).catch(() => extractiveSummary(previous, newlyOlder, summaryBudget(HISTORY_TOKEN_BUDGET)))
+      : extractiveSummary(previous, newlyOlder, summaryBudget(HISTORY_TOKEN_BUDGET));
+    session.metadata.summary = { text, through: older.length, method: HISTORY_SUMMARY };
+    return { summary: text, recent };
+  }
+
+  async summarizeWithModel(previous, messages) {
+    const words = Math.max(50, Math.floor(summaryBudget(HISTORY_TOKEN_BUDGET) * 0.75));
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+      .join('\n\n');
+    const stream = await this.getProvider().complete({
+      model: MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: `Summarize this tax conversation so it can continue without the transcript. Keep facts the user shared about their situation, the questions asked, and conclusions with their dollar figures. Plain bullet points, under ${words} words.`
+        },
+        {
+          role: 'user',
+          content: `${previous ? `Summary so far:\n${previous}\n\n` : ''}New turns:\n${transcript}`
+        }
+      ],
+      temperature: 0,
+      max_tokens: summaryBudget(HISTORY_TOKEN_BUDGET),
+      stream: true
+    });
+
+    let text = '';
+    for await (const chunk of stream) {
+      text += chunk.choices?.[0]?.delta?.content || '';
+    }
+    if (!text.trim()) throw new Error('Empty summary');
+    return text.trim();
+  }
+
+  async createCompletion(messages, { allowTools = true } = {}) {
+    const signal = this.abortController?.signal;
+    const params = {
+      model: MODEL,
+      messages: messages,
+      temperature: 0.2,
+      max_tokens: this.lastBudget?.reserved ?? MAX_RESPONSE_TOKENS,
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(USE_TOOLS ? { tools: TOOL_DEFINITIONS, tool_choice: allowTools ? 'auto' : 'none' } : {})
+    };
+    return withRetry(() => this.getProvider().complete(params, { signal }), {
+      signal,
+      onRetry: (retry) => this.onRetry(retry)
+    });
+  }
+
+  // Number chunks found mid-answer after the ones already sent, keeping numbers for repeats
+  addSources(chunks) {
+    return chunks.map(chunk => {
+      const existing = this.lastSources.find(source => source.id === chunk.id);
+      if (existing) return existing;
+      const [source] = buildSources([chunk], this.lastSources.length + 1);
+      this.lastSources.push(source);
+      return source;
+    });
+  }
+
+  // Run the tool calls from one streamed round, append the exchange to the
+  // conversation and start the follow-up completion
+  async runToolCalls(toolCalls, content, round, onToolCall = () => {}) {
+    const messages = this.pendingMessages;
+    messages.push({
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of toolCalls) {
+      const result = await runTool(this, call.name, call.arguments);
+      let args;
+      try {
+        args = JSON.parse(call.arguments || '{}');
+      } catch {
+        args = call.arguments;
+      }
+      const record = { id: call.id, name: call.name, arguments: args, result };
+      this.lastToolCalls.push(record);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      onToolCall(record);
+    }
+
+    return this.createCompletion(messages, { allowTools: round < MAX_TOOL_ROUNDS });
+  }
+
+  // Drain a completion, running any tool calls it asks for, and return the answer text.
+  // onContent receives text as it arrives and onToolCall each finished tool call,
+  // so the same loop drives the terminal, one-shot and HTTP output.
+  // A cancelled, stalled or dropped stream ends the answer early: the text so far is
+  // returned and lastInterruption says why. With no text at all, the error is thrown.
+  async completeResponse(stream, { onContent = async () => {}, onToolCall = () => {} } = {}) {
+    let fullContent = '';
+    let round = 0;
+    this.lastUsage = null;
+    this.lastInterruption = null;
+    const signal = this.abortController?.signal;
+
+    try {
+      while (stream) {
+        let roundContent = '';
+        const toolCalls = [];
+
+        for await (const chunk of this.watchStream(stream)) {
+          if (chunk.usage) this.addUsage(chunk.usage);
+          const delta = chunk.choices?.[0]?.delta || {};
+
+          // Tool call names and arguments arrive in fragments keyed by index
+          for (const part of delta.tool_calls || []) {
+            const call = toolCalls[part.index] ||= { id: '', name: '', arguments: '' };
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.name += part.function.name;
+            if (part.function?.arguments) call.arguments += part.function.arguments;
+          }
+
+          if (delta.content) {
+            fullContent += delta.content;
+            roundContent += delta.content;
+            await onContent(delta.content);
+          }
+          signal?.throwIfAborted();
+        }
+
+        if (toolCalls.length === 0) break;
+
+        // Keep text written before the tool calls on its own line
+        if (fullContent && !fullContent.endsWith('\n')) {
+          fullContent += '\n';
+          await onContent('\n');
+        }
+        round++;
+        stream = await this.runToolCalls(toolCalls.filter(Boolean), roundContent, round, onToolCall);
+      }
+    } catch (error) {
+      const reason = signal?.aborted ? signal.reason : 'error';
+      if (reason === 'error' && !fullContent) throw error;
+      if (reason === 'timeout' && !fullContent) throw new Error('The model did not respond in time');
+      this.lastInterruption = { reason, ...(reason === 'error' ? { error: error.message } : {}) };
+    } finally {
+      this.endRequest();
+    }
+
+    return fullContent;
+  }
+
+  // The stream's chunks, abandoning the request when nothing arrives for REQUEST_TIMEOUT
+  async *watchStream(stream) {
+    const controller = this.abortController;
+    const arm = () => controller && setTimeout(() => controller.abort('timeout'), REQUEST_TIMEOUT);
+    let timer = arm();
+    try {
+      for await (const chunk of stream) {
+        clearTimeout(timer);
+        yield chunk;
+        timer = arm();
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Token counts summed over every round of one answer
+  addUsage(usage) {
+    const total = this.lastUsage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    this.lastUsage = {
+      promptTokens: total.promptTokens + (usage.prompt_tokens || 0),
+      completionTokens: total.completionTokens + (usage.completion_tokens || 0),
+      totalTokens: total.totalTokens + (usage.total_tokens || 0)
+    };
+  }
+
+  // The last answer's token counts with the model and their price. The mock
+  // provider costs nothing; models missing from the price table cost null.
+  priceUsage(usage) {
+    if (this.getProvider().name === 'mock') return { model: 'mock', ...usage, cost: 0 };
+    return { model: MODEL, ...usage, cost: usageCost(usage, MODEL, this.prices) };
+  }
+
+  // Count an answer's usage in the session totals and the all-time usage log
+  recordUsage(usage) {
+    const session = this.sessionManager.currentSession;
+    if (!session) return;
+    session.metadata.usage = combineUsage(session.metadata.usage || emptyUsage(), usage);
+    appendUsageLog({
+      timestamp: new Date().toISOString(),
+      user: usageUser(),
+      session: session.id,
+      ...usage
+    }).catch(() => {});
+  }
+
+  // Save the answer along with the passages it was grounded on and what it cost
+  async recordAnswer(content) {
+    const sources = this.lastSources;
+    const citations = extractCitations(content, sources);
+    // A request cancelled before any text leaves just the question, ready for /retry
+    if (!content && this.lastInterruption) return citations;
+    if (this.lastUsage) {
+      this.lastUsage = this.priceUsage(this.lastUsage);
+      this.recordUsage(this.lastUsage);
+    }
+    await this.sessionManager.addMessage('assistant', content, {
+      sources,
+      citations,
+      ...(this.lastToolCalls.length > 0 ? { toolCalls: this.lastToolCalls } : {}),
+      ...(this.lastUsage ? { usage: this.lastUsage } : {}),
+      ...(this.lastInterruption ? { interrupted: this.lastInterruption.reason } : {})
+    });
+    return citations;
+  }
+
+  // Ask, answer and record one question in the current session. Aborting
+  // signal cancels the answer like cancel() does.
+  async answer(question, { signal, ...callbacks } = {}) {
+    await this.sessionManager.addMessage('user', question);
+    const onAbort = () => this.cancel();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      const stream = await this.askQuestion(question);
+      const answer = await this.completeResponse(stream, callbacks);
+      const citations = await this.recordAnswer(answer);
+      await this.sessionManager.saveSession();
+      return { answer, citations };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Drop the last answer, finished or interrupted, and return the question it
+  // answered so it can be asked again. Null when nothing has been asked yet.
+  prepareRetry() {
+    const session = this.sessionManager.currentSession;
+    const lastQuestion = session?.messages.findLastIndex(m => m.role === 'user') ?? -1;
+    if (lastQuestion === -1) return null;
+    session.messages = session.messages.slice(0, lastQuestion + 1);
+    return session.messages[lastQuestion].content;
+  }
+
+  // Everything a machine client needs about the last answer
+  answerDetails(question, { answer, citations }) {
+    return {
+      session: this.sessionManager.currentSession.id,
+      taxYear: this.getTaxYear(),
+      question,
+      answer,
+      missingYears: this.lastMissingYears,
+      sources: this.lastSources.map(({ n, id, location, text }) => ({
+        n,
+        id,
+        location,
+        text,
+        cited: citations.cited.some(c => c.n === n)
+      })),
+      unverifiedCitations: citations.unverified,
+      toolCalls: this.lastToolCalls,
+      usage: this.lastUsage,
+      interrupted: this.lastInterruption?.reason ?? null,
+      ...(this.debug ? { budget: this.lastBudget } : {})
+    };
+  }
+
+  // Open the --session session (by id or name, or a new one) and settle its tax
+  // year. Throws for an unknown session or year so one-shot callers can fail loudly.
+  async startSession() {
+    // Checked before anything is written, so a bad --year leaves no empty session behind
+    if (this.defaultTaxYear && !this.getAvailableYears().includes(this.defaultTaxYear)) {
+      throw new Error(`Tax year ${this.defaultTaxYear} is not loaded (available: ${this.getAvailableYears().join(', ')})`);
+    }
+    await this.sessionManager.init();
+    await this.profileManager.load();
+    this.prices = await loadPrices();
+
+    if (this.sessionId) {
+      const id = await this.sessionManager.resolveSession(this.sessionId);
+      if (!id || !await this.sessionManager.loadSession(id)) {
+        throw new SessionNotFoundError(this.sessionId);
+      }
+    } else if (!this.sessionManager.currentSession) {
+      await this.sessionManager.createSession();
+    }
+
+    // Written only when the year changes: another process may be saving a turn to this session
+    const session = this.sessionManager.currentSession;
+    const taxYear = this.defaultTaxYear || session.metadata.taxYear || this.getTaxYear();
+    if (session.metadata.taxYear !== taxYear) {
+      session.metadata.taxYear = taxYear;
+      await this.sessionManager.saveSession();
+    }
+    return session;
+  }
+}
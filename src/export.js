@@ -0,0 +1,543 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { stripVTControlCharacters } from 'util';
+import { parseInline, renderMarkdown } from './markdown.js';
+import { describeProfile, isEmptyProfile } from './profile.js';
+import { summarizeToolResult } from './tools.js';
+import { formatCost } from './usage.js';
+import { readJsonFile, writePrivateFile } from './vault.js';
+import { documentTitle, formatAmount } from './documents.js';
+
+// Session exports. md and txt are for reading, html prints cleanly (and saves
+// as PDF from the browser's print dialog), json is the whole session as saved
+// and can be imported again, and report is a printable client summary of the
+// deductions, credits and calculations the conversation covered.
+
+export const EXPORT_FORMATS = ['md', 'html', 'json', 'txt', 'report'];
+const EXTENSIONS = { md: 'md', html: 'html', json: 'json', txt: 'txt', report: 'html' };
+
+// Identifies JSON exports; bump the version when the layout changes
+export const EXPORT_KIND = 'tax-gpt-session';
+export const EXPORT_VERSION = 1;
+
+export const DISCLAIMER = 'Tax GPT answers come from IRS publications and a language model. They are not professional tax advice: check figures against the current forms and instructions, or ask a tax professional.';
+
+const MONEY = /\$\d[\d,]*(?:\.\d+)?(?:\s?(?:million|billion|[kKmM]\b))?/g;
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Deductions and credits the client summary looks for, in the order it lists them
+export const TAX_ITEMS = [
+  { kind: 'deduction', name: 'Standard deduction', pattern: /standard deduction/i },
+  { kind: 'deduction', name: 'Itemized deductions', pattern: /itemiz|schedule a\b/i },
+  { kind: 'deduction', name: 'Mortgage interest', pattern: /mortgage interest/i },
+  { kind: 'deduction', name: 'State and local taxes (SALT)', pattern: /\bSALT\b|state and local (income |sales )?tax/i },
+  { kind: 'deduction', name: 'Charitable contributions', pattern: /charit|donation/i },
+  { kind: 'deduction', name: 'Medical and dental expenses', pattern: /medical (and dental )?expense/i },
+  { kind: 'deduction', name: 'Student loan interest', pattern: /student loan interest/i },
+  { kind: 'deduction', name: 'IRA contributions', pattern: /\bIRA\b|individual retirement/i },
+  { kind: 'deduction', name: 'Health savings account (HSA)', pattern: /\bHSA\b|health savings account/i },
+  { kind: 'deduction', name: 'Self-employment deductions', pattern: /self-employment tax deduction|half of (your )?self-employment|home office|business use of (your )?home|SEP[- ]IRA/i },
+  { kind: 'deduction', name: 'Educator expenses', pattern: /educator expense/i },
+  { kind: 'deduction', name: 'Capital losses', pattern: /capital loss/i },
+  { kind: 'credit', name: 'Child tax credit', pattern: /child tax credit|\bCTC\b|credit for other dependents/i },
+  { kind: 'credit', name: 'Earned income credit (EITC)', pattern: /earned income (tax )?credit|\bEI?TC\b/i },
+  { kind: 'credit', name: 'Child and dependent care credit', pattern: /(child|dependent) (and dependent )?care credit/i },
+  { kind: 'credit', name: 'American opportunity credit', pattern: /american opportunity|\bAOTC\b/i },
+  { kind: 'credit', name: 'Lifetime learning credit', pattern: /lifetime learning/i },
+  { kind: 'credit', name: "Saver's credit", pattern: /saver'?s credit|retirement savings contributions credit/i },
+  { kind: 'credit', name: 'Premium tax credit', pattern: /premium tax credit|\bPTC\b/i },
+  { kind: 'credit', name: 'Energy credits', pattern: /energy (efficient )?(home improvement )?credit|clean (vehicle|energy) credit|residential (clean )?energy/i },
+  { kind: 'credit', name: 'Foreign tax credit', pattern: /foreign tax credit/i },
+  { kind: 'credit', name: 'Elderly or disabled credit', pattern: /credit for the elderly|elderly or (the )?disabled/i }
+];
+
+const formatDate = (iso) => iso
+  ? new Date(iso).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+  : '';
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Question/answer pairs, with each answer's sources split into cited and not
+function turns(session) {
+  return session.messages.map((message, index) => {
+    const cited = new Set((message.citations?.cited || []).map(c => c.n));
+    return {
+      ...message,
+      index,
+      cited: (message.sources || []).filter(source => cited.has(source.n)),
+      uncited: (message.sources || []).filter(source => !cited.has(source.n))
+    };
+  });
+}
+
+function sessionFacts(session) {
+  return [
+    ['Session', `${session.name} (${session.id})`],
+    ['Created', formatDate(session.createdAt)],
+    ['Updated', formatDate(session.updatedAt || session.messages.at(-1)?.timestamp || session.createdAt)],
+    ['Exported', formatDate(new Date().toISOString())],
+    ['Model', session.metadata.model || 'unknown'],
+    ['Tax year', session.metadata.taxYear ? String(session.metadata.taxYear) : ''],
+    ['Tags', (session.metadata.tags || []).join(', ')],
+    ['Usage', session.metadata.usage ? `${session.metadata.usage.totalTokens.toLocaleString()} tokens, ${formatCost(session.metadata.usage)}` : '']
+  ].filter(([, value]) => value);
+}
+
+function toolLine(call) {
+  return `${call.name}: ${summarizeToolResult(call.name, call.result)}`;
+}
+
+// Markdown
+
+function toMarkdown(session) {
+  let out = `# ${session.name}\n\n`;
+  out += sessionFacts(session).map(([label, value]) => `- **${label}:** ${value}`).join('\n') + '\n';
+
+  for (const turn of turns(session)) {
+    const who = turn.role === 'user' ? 'Question' : 'Answer';
+    out += `\n---\n\n## ${who}${turn.timestamp ? ` · ${formatDate(turn.timestamp)}` : ''}\n\n${turn.content.trim()}\n`;
+    if (turn.interrupted) out += `\n*Incomplete: ${turn.interrupted}*\n`;
+    if (turn.toolCalls?.length) {
+      out += '\n**Calculations:**\n\n' + turn.toolCalls.map(call => `- ${toolLine(call)}`).join('\n') + '\n';
+    }
+    if (turn.cited.length) {
+      out += '\n**Sources:**\n\n' + turn.cited.map(source => `- [${source.n}] ${source.location}`).join('\n') + '\n';
+    }
+    if (turn.citations?.unverified?.length) {
+      out += `\n*Unverified citations: ${turn.citations.unverified.map(n => `[${n}]`).join(' ')}*\n`;
+    }
+  }
+  return out + `\n---\n\n> ${DISCLAIMER}\n`;
+}
+
+// Plain text: answers rendered the way the terminal shows them, minus color
+
+function toText(session) {
+  const width = 78;
+  const rule = '='.repeat(width);
+  let out = `${session.name}\n${rule}\n`;
+  out += sessionFacts(session).map(([label, value]) => `${(label + ':').padEnd(10)} ${value}`).join('\n') + '\n';
+
+  for (const turn of turns(session)) {
+    const who = turn.role === 'user' ? 'QUESTION' : 'ANSWER';
+    out += `\n${'-'.repeat(width)}\n${who}${turn.timestamp ? `  (${formatDate(turn.timestamp)})` : ''}\n\n`;
+    out += turn.role === 'user'
+      ? turn.content.trim() + '\n'
+      : stripVTControlCharacters(renderMarkdown(turn.content.trim(), { width, indent: '' })).replace(/\n+$/, '') + '\n';
+    if (turn.interrupted) out += `\n(Incomplete: ${turn.interrupted})\n`;
+    if (turn.toolCalls?.length) out += '\nCalculations:\n' + turn.toolCalls.map(call => `  ${toolLine(call)}`).join('\n') + '\n';
+    if (turn.cited.length) out += '\nSources:\n' + turn.cited.map(source => `  [${source.n}] ${source.location}`).join('\n') + '\n';
+  }
+  return out + `\n${rule}\n${DISCLAIMER}\n`;
+}
+
+// JSON: the session exactly as saved, wrapped so an import can recognise it
+
+function toJson(session) {
+  return JSON.stringify({
+    kind: EXPORT_KIND,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session
+  }, null, 2) + '\n';
+}
+
+// HTML
+
+// Only these become links in an export; a javascript: or data: link in an
+// answer is shown as its text alone
+const isSafeHref = (link) => /^(https?|mailto):/i.test(link) || link.startsWith('#');
+
+// Inline markdown as HTML. Citation markers link to the answer's sources.
+function inlineHtml(text, citationLink = null) {
+  return parseInline(text)
+    .filter(segment => !segment.dim)
+    .map(({ text: value, bold, italic, code, link }) => {
+      if (code) return `<code>${escapeHtml(value)}</code>`;
+      let html = escapeHtml(value);
+      if (citationLink) {
+        html = html.replace(CITATION, (marker, numbers) => {
+          const links = numbers.split(',').map(n => citationLink(Number(n)) ?? `[${n.trim()}]`);
+          return `<sup>${links.join('')}</sup>`;
+        });
+      }
+      if (link && isSafeHref(link)) html = `<a href="${escapeHtml(link)}">${html}</a>`;
+      if (bold) html = `<strong>${html}</strong>`;
+      if (italic) html = `<em>${html}</em>`;
+      return html;
+    })
+    .join('');
+}
+
+function tableHtml(rows, inline) {
+  const cells = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+  const body = rows.filter(row => !/^\s*\|?[\s:|-]+\|?\s*$/.test(row));
+  const hasHeader = rows.length > 1 && /^\s*\|?[\s:|-]+\|?\s*$/.test(rows[1]);
+  const [head, ...rest] = hasHeader ? body : [null, ...body];
+  return '<table>' +
+    (head ? `<thead><tr>${cells(head).map(cell => `<th>${inline(cell)}</th>`).join('')}</tr></thead>` : '') +
+    `<tbody>${rest.map(row => `<tr>${cells(row).map(cell => `<td>${inline(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+// Block markdown as HTML: the same subset the terminal renderer handles
+export function markdownToHtml(markdown, citationLink = null) {
+  const inline = (text) => inlineHtml(text, citationLink);
+  const lines = markdown.split('\n');
+  const out = [];
+  const lists = [];
+  let paragraph = [];
+
+  const closeParagraph = () => {
+    if (paragraph.length) out.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const closeLists = (depth = 0) => {
+    while (lists.length > depth) out.push(`</li></${lists.pop().tag}>`);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(```|~~~)\s*(\S*)/);
+    if (fence) {
+      closeParagraph();
+      closeLists();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i]);
+      out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (/^\s*\|/.test(line)) {
+      closeParagraph();
+      closeLists();
+      const rows = [];
+      while (i < lines.length && /^\s*\|/.test(lines[i])) rows.push(lines[i++]);
+      i--;
+      out.push(tableHtml(rows, inline));
+      continue;
+    }
+
+    if (!line.trim()) {
+      closeParagraph();
+      closeLists();
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      closeParagraph();
+      closeLists();
+      // Answers sit under the export's own headings, so theirs start at h3
+      const level = Math.min(heading[1].length + 2, 6);
+      out.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      closeParagraph();
+      closeLists();
+      out.push('<hr>');
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      closeParagraph();
+      closeLists();
+      out.push(`<blockquote>${inline(quote[1])}</blockquote>`);
+      continue;
+    }
+
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      closeParagraph();
+      const depth = Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), 4) + 1;
+      const tag = /\d/.test(item[2]) ? 'ol' : 'ul';
+      if (lists.length > depth) closeLists(depth);
+      if (lists.length === depth) {
+        out.push('</li>');
+      } else {
+        while (lists.length < depth) {
+          lists.push({ tag });
+          out.push(`<${tag}>`);
+        }
+      }
+      out.push(`<li>${inline(item[3])}`);
+      continue;
+    }
+
+    closeLists();
+    paragraph.push(line.trim());
+  }
+  closeParagraph();
+  closeLists();
+  return out.join('\n');
+}
+
+const STYLE = `
+  :root { color-scheme: light; }
+  body { font: 15px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1c1c1e; max-width: 52rem; margin: 2rem auto; padding: 0 1.5rem; }
+  h1 { font-size: 1.6rem; margin-bottom: .25rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #d1d1d6; padding-bottom: .25rem; }
+  h3, h4, h5, h6 { font-size: 1rem; }
+  .facts { display: grid; grid-template-columns: max-content 1fr; gap: .15rem 1rem; color: #48484a; font-size: .9rem; }
+  .facts dt { font-weight: 600; }
+  .facts dd { margin: 0; }
+  .turn { margin: 1.25rem 0; break-inside: avoid-page; }
+  .turn .meta { color: #8e8e93; font-size: .8rem; margin-bottom: .25rem; }
+  .question { background: #fff7ec; border-left: 4px solid #ff9500; padding: .6rem .9rem; border-radius: 4px; }
+  .answer { border-left: 4px solid #007aff; padding: .1rem .9rem; }
+  .note { color: #8e8e93; font-style: italic; }
+  .warning { color: #b25000; }
+  table { border-collapse: collapse; margin: .75rem 0; font-size: .9rem; }
+  th, td { border: 1px solid #c7c7cc; padding: .3rem .6rem; text-align: left; vertical-align: top; }
+  th { background: #f2f2f7; }
+  td.amount { text-align: right; white-space: nowrap; }
+  code { font: .85em ui-monospace, SFMono-Regular, Menlo, monospace; background: #f2f2f7; padding: .05rem .25rem; border-radius: 3px; }
+  pre { background: #f2f2f7; padding: .75rem; overflow-x: auto; border-radius: 4px; }
+  pre code { background: none; padding: 0; }
+  blockquote { margin: .5rem 0; padding-left: .8rem; border-left: 3px solid #c7c7cc; color: #48484a; }
+  sup a { text-decoration: none; }
+  .sources { font-size: .85rem; color: #48484a; }
+  .sources li { margin-bottom: .35rem; }
+  .sources .excerpt { display: block; color: #8e8e93; white-space: pre-wrap; }
+  .disclaimer { margin-top: 2.5rem; padding: .75rem 1rem; border: 1px solid #ffcc00; background: #fffbe6; font-size: .85rem; }
+  @page { margin: 1.8cm; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 10.5pt; }
+    a { color: inherit; text-decoration: none; }
+    .question { background: none; }
+    h2 { break-after: avoid-page; }
+    tr, .sources li { break-inside: avoid; }
+  }`;
+
+function htmlDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Tax GPT">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+${body}
+<p class="disclaimer"><strong>Disclaimer.</strong> ${escapeHtml(DISCLAIMER)}</p>
+</body>
+</html>
+`;
+}
+
+function factsHtml(facts) {
+  return `<dl class="facts">${facts.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+}
+
+function sourcesHtml(turn, sources) {
+  return `<ol class="sources">${sources.map(source =>
+    `<li id="s${turn.index}-${source.n}" value="${source.n}">${escapeHtml(source.location)}` +
+    `<span class="excerpt">${escapeHtml(source.text.length > 600 ? source.text.slice(0, 600) + '...' : source.text)}</span></li>`
+  ).join('')}</ol>`;
+}
+
+function toHtml(session) {
+  const body = [`<h1>${escapeHtml(session.name)}</h1>`, factsHtml(sessionFacts(session)), '<h2>Conversation</h2>'];
+
+  for (const turn of turns(session)) {
+    const meta = `<div class="meta">${turn.role === 'user' ? 'Question' : 'Tax GPT'}${turn.timestamp ? ` · ${escapeHtml(formatDate(turn.timestamp))}` : ''}</div>`;
+    if (turn.role === 'user') {
+      body.push(`<section class="turn">${meta}<div class="question">${inlineHtml(turn.content.trim())}</div></section>`);
+      continue;
+    }
+    const cited = new Set(turn.cited.map(source => source.n));
+    const link = (n) => cited.has(n) ? `<a href="#s${turn.index}-${n}">[${n}]</a>` : null;
+    const parts = [markdownToHtml(turn.content.trim(), link)];
+    if (turn.interrupted) parts.push(`<p class="note">Incomplete: ${escapeHtml(turn.interrupted)}</p>`);
+    if (turn.toolCalls?.length) {
+      parts.push(`<p class="note">Calculations: ${turn.toolCalls.map(call => escapeHtml(toolLine(call))).join('; ')}</p>`);
+    }
+    if (turn.cited.length) parts.push(sourcesHtml(turn, turn.cited));
+    if (turn.citations?.unverified?.length) {
+      parts.push(`<p class="warning">Unverified citations: ${turn.citations.unverified.map(n => `[${n}]`).join(' ')} (not among the retrieved passages)</p>`);
+    }
+    body.push(`<section class="turn">${meta}<div class="answer">${parts.join('\n')}</div></section>`);
+  }
+  return htmlDocument(session.name, body.join('\n'));
+}
+
+// Client summary
+
+// Sentences of a message without markdown markers, for quoting in the report
+function sentences(content) {
+  return content
+    .split('\n')
+    .filter(line => !/^\s*\|?[\s:|-]+\|?\s*$/.test(line) && !/^\s*(```|~~~)/.test(line))
+    // A table row reads as "Mortgage interest: $12,000."
+    .map(line => /^\s*\|/.test(line)
+      ? line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).filter(Boolean).join(': ') + '.'
+      : line.replace(/^\s*(#{1,6}|>|[-*+]|\d+[.)])\s+/, ''))
+    .map(line => parseInline(line).map(segment => segment.text).join(''))
+    .join('\n')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => sentence.length > 3);
+}
+
+// The deductions and credits a session mentions: for each, what was said about
+// it, the dollar amounts next to it and the sources cited alongside
+export function collectTaxItems(session) {
+  const found = new Map();
+  for (const turn of turns(session)) {
+    for (const sentence of sentences(turn.content)) {
+      for (const item of TAX_ITEMS) {
+        if (!item.pattern.test(sentence)) continue;
+        const entry = found.get(item.name) || { ...item, mentions: [], amounts: new Set(), sources: new Map() };
+        if (entry.mentions.length < 3 && !entry.mentions.some(m => m.text === sentence)) {
+          entry.mentions.push({ role: turn.role, text: sentence.length > 280 ? sentence.slice(0, 277) + '...' : sentence });
+        }
+        (sentence.match(MONEY) || []).forEach(amount => entry.amounts.add(amount));
+        for (const [, numbers] of sentence.matchAll(CITATION)) {
+          numbers.split(',').map(Number).forEach(n => {
+            const source = turn.cited.find(s => s.n === n);
+            if (source) entry.sources.set(source.id, source.location);
+          });
+        }
+        found.set(item.name, entry);
+      }
+    }
+  }
+  return TAX_ITEMS
+    .filter(item => found.has(item.name))
+    .map(item => {
+      const entry = found.get(item.name);
+      return { ...entry, amounts: [...entry.amounts], sources: [...entry.sources.values()] };
+    });
+}
+
+function toReport(session, { profile = null } = {}) {
+  const items = collectTaxItems(session);
+  const calculations = session.messages.flatMap(message => message.toolCalls || []).filter(call => call.name !== 'search_knowledge_base');
+  const questions = session.messages.filter(message => message.role === 'user');
+  const title = `Client summary: ${session.name}`;
+
+  const body = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    factsHtml([
+      ['Prepared', formatDate(new Date().toISOString())],
+      ['Tax year', session.metadata.taxYear ? String(session.metadata.taxYear) : 'not set'],
+      ['Session', `${session.name} (${session.id})`],
+      ['Questions', String(questions.length)]
+    ])
+  ];
+
+  if (profile && !isEmptyProfile(profile)) {
+    body.push('<h2>Taxpayer profile</h2>', `<table><tbody>${describeProfile(profile).map(([label, value]) =>
+      `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</tbody></table>`);
+  }
+
+  const documents = [...(profile?.documents || []), ...(session.metadata.documents || [])];
+  if (documents.length > 0) {
+    body.push('<h2>Tax documents</h2>', ...documents.map(document =>
+      `<table><thead><tr><th colspan="3">${escapeHtml(documentTitle(document))}</th></tr></thead><tbody>` +
+      document.boxes.map(box => `<tr><td>Box ${escapeHtml(box.box)}</td><td>${escapeHtml(box.label)}</td><td class="amount">${formatAmount(box.amount)}</td></tr>`).join('') +
+      '</tbody></table>'));
+  }
+
+  const itemTable = (kind, heading) => {
+    const rows = items.filter(item => item.kind === kind);
+    body.push(`<h2>${heading}</h2>`);
+    if (rows.length === 0) {
+      body.push(`<p class="note">None came up in this session.</p>`);
+      return;
+    }
+    body.push('<table><thead><tr><th>Item</th><th>Discussed</th><th>Amounts mentioned</th><th>Sources</th></tr></thead><tbody>' +
+      rows.map(item => `<tr><td><strong>${escapeHtml(item.name)}</strong></td>` +
+        `<td>${item.mentions.map(m => `${m.role === 'user' ? '<em>Asked:</em> ' : ''}${escapeHtml(m.text)}`).join('<br><br>')}</td>` +
+        `<td class="amount">${item.amounts.map(escapeHtml).join('<br>') || '-'}</td>` +
+        `<td>${item.sources.map(escapeHtml).join('<br>') || '-'}</td></tr>`).join('') +
+      '</tbody></table>');
+  };
+  itemTable('deduction', 'Deductions discussed');
+  itemTable('credit', 'Credits discussed');
+
+  if (calculations.length > 0) {
+    body.push('<h2>Calculations</h2>', '<table><thead><tr><th>Tool</th><th>Inputs</th><th>Result</th></tr></thead><tbody>' +
+      calculations.map(call => `<tr><td>${escapeHtml(call.name)}</td>` +
+        `<td>${escapeHtml(Object.entries(call.arguments || {}).map(([key, value]) => `${key}: ${value}`).join(', '))}</td>` +
+        `<td>${escapeHtml(summarizeToolResult(call.name, call.result))}</td></tr>`).join('') +
+      '</tbody></table>');
+  }
+
+  if (questions.length > 0) {
+    body.push('<h2>Questions asked</h2>', `<ol>${questions.map(q => `<li>${escapeHtml(q.content.trim())}</li>`).join('')}</ol>`);
+  }
+
+  body.push('<p class="note">Items are gathered from the wording of the conversation, so review each one before relying on it.</p>');
+  return htmlDocument(title, body.join('\n'));
+}
+
+// A session as text in one of EXPORT_FORMATS. profile is only used by the report.
+export function renderExport(session, format, options = {}) {
+  switch (format) {
+    case 'md': return toMarkdown(session);
+    case 'txt': return toText(session);
+    case 'json': return toJson(session);
+    case 'html': return toHtml(session);
+    case 'report': return toReport(session, options);
+    default: throw new Error(`Unknown export format: ${format} (use ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+// "Q1 planning" -> "q1-planning.md"; the report gets its own suffix
+export function exportFileName(session, format) {
+  const slug = session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || session.id;
+  return `${slug}${format === 'report' ? '-summary' : ''}.${EXTENSIONS[format]}`;
+}
+
+// Where an export goes: the current directory by default, a directory given
+// as target, or target itself (with the format's extension when it has none)
+export async function exportPath(session, format, target = null) {
+  const name = exportFileName(session, format);
+  if (!target) return path.resolve(name);
+  const resolved = path.resolve(target.replace(/^~(?=$|[\\/])/, os.homedir()));
+  const isDirectory = await fs.stat(resolved).then(stats => stats.isDirectory(), () => false);
+  if (isDirectory || /[\\/]$/.test(target)) return path.join(resolved, name);
+  return path.extname(resolved) ? resolved : `${resolved}.${EXTENSIONS[format]}`;
+}
+
+export async function writeExport(session, format, target = null, options = {}) {
+  const file = await exportPath(session, format, target);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // A transcript is as private as the session it came from
+  await writePrivateFile(file, renderExport(session, format, options));
+  return file;
+}
+
+// The session in a file to import: a JSON export, or a session file copied
+// from another machine's ~/.tax-gpt/sessions (plain, or sealed with this
+// vault's passphrase). Checking it's a usable session is up to the importer.
+export async function readImportFile(file) {
+  let value;
+  try {
+    value = await readJsonFile(path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir())));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`File not found: ${file}`);
+    if (error.code === 'EISDIR') throw new Error(`${file} is a directory`);
+    if (error instanceof SyntaxError) throw new Error(`${file} is not JSON: only JSON exports (/export json) can be imported`);
+    throw error;
+  }
+  if (value?.kind === EXPORT_KIND) {
+    if (value.version > EXPORT_VERSION) throw new Error(`${file} was exported by a newer version of Tax GPT`);
+    return value.session;
+  }
+  return value;
+}
@@ -1,30 +1,27 @@
 import chalk from 'chalk';
-import { C } from './config.js';
+import ora from 'ora';
+import { C, ICONS, BOX, OUTPUT } from './config.js';
+import { formatLocation } from './chunker.js';
+import { highlightMatches, snippet } from './retrieval.js';
+import { renderInline } from './markdown.js';
 
-// Format a single line with color highlights
-export function formatLine(text) {
-  // Highlight dollar amounts: $X,XXX
-  text = text.replace(/(\$[\d,]+)/g, C.highlight('$1'));
-  
-  // Highlight percentages: X%
-  text = text.replace(/(\d+%)/g, C.highlight('$1'));
-  
-  // Convert **text** to bold
-  text = text.replace(/\*\*(.+?)\*\*/g, (_, p1) => chalk.bold(p1));
-  
-  // Convert _text_ to italic
-  text = text.replace(/_(.+?)_/g, (_, p1) => chalk.italic(p1));
-  
-  // Convert * bullet to proper bullet
-  text = text.replace(/^\*\s/, C.dim('• ') + ' ');
-  
-  // Convert ### headers to bold + underline
-  text = text.replace(/^###\s+(.+)$/, (_, p1) => chalk.bold.underline(p1));
-  
-  // Convert ## headers to bold
-  text = text.replace(/^##\s+(.+)$/, (_, p1) => chalk.bold(p1));
-  
-  return text;
+// The markdown renderer lives in markdown.js; importers of ./formatter still get it here
+export { renderMarkdown } from './markdown.js';
+
+// A started spinner. In plain output it prints its text once as a status line
+// and never animates; later text changes are dropped.
+export function createSpinner(text, style = C.dim) {
+  const spinner = ora({
+    text: style(text),
+    spinner: 'dots',
+    color: 'gray',
+    isEnabled: OUTPUT.plain ? false : undefined
+  }).start();
+  if (OUTPUT.plain) {
+    spinner.succeed = (message) => spinner.stopAndPersist({ symbol: ICONS.check, text: message });
+    spinner.fail = (message) => spinner.stopAndPersist({ symbol: ICONS.error, text: message });
+  }
+  return spinner;
 }
 
 // Helper to truncate text while preserving ANSI codes
@@ -97,25 +94,25 @@ export function renderTable(lines, startIdx) {
   let result = '\n';
   
   // Top border
-  result += '  ' + colWidths.map(w => '─'.repeat(w)).join('─┬─') + '\n';
+  result += '  ' + BOX.tl + colWidths.map(w => BOX.h.repeat(w)).join(BOX.t) + BOX.tr + '\n';
   
   // Header row
   const headerRow = dataRows[0];
-  result += '  │' + headerRow.map((cell, i) => {
+  result += '  ' + BOX.v + headerRow.map((cell, i) => {
     const plainCell = cell.replace(/\x1b\[[0-9;]*m/g, '');
     const truncated = plainCell.slice(0, colWidths[i] - 2);
     const padded = ' ' + truncated.padEnd(colWidths[i] - 2) + ' ';
     return chalk.bold(padded);
-  }).join('│') + '│\n';
+  }).join(BOX.v) + BOX.v + '\n';
   
   // Separator
-  result += '  ' + colWidths.map(w => '─'.repeat(w)).join('─┼─') + '\n';
+  result += '  ' + BOX.l + colWidths.map(w => BOX.h.repeat(w)).join(BOX.x) + BOX.r + '\n';
   
   // Data rows
   for (let i = 1; i < dataRows.length; i++) {
-    result += '  │' + dataRows[i].map((cell, col) => {
+    result += '  ' + BOX.v + dataRows[i].map((cell, col) => {
       // Format the cell content (for colors)
-      const formatted = formatLine(cell);
+      const formatted = renderInline(cell);
       const plainText = formatted.replace(/\x1b\[[0-9;]*m/g, '');
       const visibleLength = plainText.length;
       const targetWidth = colWidths[col] - 2;
@@ -128,65 +125,19 @@ export function renderTable(lines, startIdx) {
       const padding = paddingNeeded > 0 ? ' '.repeat(paddingNeeded) : '';
       
       return ' ' + truncated + padding + ' ';
-    }).join('│') + '│\n';
+    }).join(BOX.v) + BOX.v + '\n';
   }
   
   // Bottom border
-  result += '  ' + colWidths.map(w => '─'.repeat(w)).join('─┴─') + '\n';
+  result += '  ' + BOX.bl + colWidths.map(w => BOX.h.repeat(w)).join(BOX.b) + BOX.br + '\n';
   
   return { rendered: result, endIdx: idx };
 }
 
-// Render markdown content with full formatting
-export function renderMarkdown(content) {
-  const lines = content.split('\n');
-  let result = '';
-  let i = 0;
-  
-  while (i < lines.length) {
-    const line = lines[i];
-    
-    // Check for table
-    if (line.trim().startsWith('|')) {
-      const { rendered, endIdx } = renderTable(lines, i);
-      if (rendered) {
-        result += rendered;
-        i = endIdx;
-        continue;
-      }
-    }
-    
-    // Format regular line
-    result += formatLine(line) + '\n';
-    i++;
-  }
-  
-  return result;
-}
-
-// Format content for streaming output (handles partial content)
-export function formatStreamChunk(chunk, currentLine) {
-  currentLine += chunk;
-  
-  // Check if we have a complete line
-  if (currentLine.includes('\n')) {
-    const lines = currentLine.split('\n');
-    const completeLines = lines.slice(0, -1);
-    currentLine = lines[lines.length - 1];
-    
-    return {
-      output: completeLines.map(l => '  ' + formatLine(l)).join('\n') + '\n',
-      currentLine
-    };
-  }
-  
-  return { output: '', currentLine };
-}
-
 // Render a horizontal rule
 export function renderHorizontalRule() {
-  const width = Math.min(process.stdout.columns - 4, 76);
-  return '  ' + C.dim('─'.repeat(width)) + '\n';
+  const width = Math.min((process.stdout.columns || 80) - 4, 76);
+  return '  ' + C.dim(BOX.h.repeat(width)) + '\n';
 }
 
 // Render a highlighted box (for important info)
@@ -195,15 +146,40 @@ export function renderInfoBox(title, content) {
   const maxWidth = Math.max(title.length, ...lines.map(l => l.length)) + 4;
   
   let result = '\n';
-  result += '  ┌' + '─'.repeat(maxWidth) + '┐\n';
-  result += '  │ ' + chalk.bold(title).padEnd(maxWidth - 1) + '│\n';
-  result += '  ├' + '─'.repeat(maxWidth) + '┤\n';
+  result += '  ' + BOX.tl + BOX.h.repeat(maxWidth) + BOX.tr + '\n';
+  result += '  ' + BOX.v + ' ' + chalk.bold(title).padEnd(maxWidth - 1) + BOX.v + '\n';
+  result += '  ' + BOX.l + BOX.h.repeat(maxWidth) + BOX.r + '\n';
   
   lines.forEach(line => {
-    result += '  │ ' + formatLine(line).padEnd(maxWidth - 1) + '│\n';
+    result += '  ' + BOX.v + ' ' + renderInline(line).padEnd(maxWidth - 1) + BOX.v + '\n';
   });
   
-  result += '  └' + '─'.repeat(maxWidth) + '┘\n';
+  result += '  ' + BOX.bl + BOX.h.repeat(maxWidth) + BOX.br + '\n';
   
   return result;
 }
+
+// One search hit: rank, location and score, then the best-matching lines
+// (or the whole passage) with query matches highlighted
+export function formatSearchResult({ rank, chunk, score }, query, { full = false } = {}) {
+  const header = `  ${C.agentLabel(`${rank}.`)} ${chalk.white(formatLocation(chunk))}  ${C.dim(`score ${score.toFixed(2)}`)}`;
+  const text = full ? chunk.text : snippet(chunk.text, query);
+  const body = text
+    .split('\n')
+    .map(line => '     ' + highlightMatches(line, query, word => C.highlight(word)));
+  return [header, ...body].join('\n');
+}
+
+// Where the prompt's tokens went for the last question (--debug)
+export function formatBudget(budget) {
+  const n = (tokens) => tokens.toLocaleString();
+  const parts = ['system', 'profile', 'tools', 'history', 'question', 'context']
+    .filter(part => budget[part] > 0)
+    .map(part => `${part} ${n(budget[part])}`);
+  const lines = [
+    `budget ${budget.model}: ${n(budget.total)} of ${n(budget.window)} tokens, ${n(budget.reserved)} reserved for the answer`,
+    `  ${parts.join(' · ')}`,
+    `  excerpts ${budget.excerpts.sent} sent, ${budget.excerpts.dropped} dropped${budget.turnsDropped ? ` · ${budget.turnsDropped} older messages left out` : ''}`
+  ];
+  return lines.map(line => C.dim('  ' + line)).join('\n');
+}
@@ -0,0 +1,65 @@
+import { estimateTokens, messageTokens } from './tokens.js';
+
+// Conversation context for the model: the newest turns verbatim, and everything
+// older folded into a rolling summary. The transcript on disk is never trimmed.
+
+// Share of the history budget reserved for the summary of older turns
+const SUMMARY_SHARE = 0.25;
+
+// Newest messages that fit in the budget, kept in whole user/assistant pairs
+// so the model never sees an answer without its question
+export function splitHistory(messages, budget) {
+  const recentBudget = Math.floor(budget * (1 - SUMMARY_SHARE));
+  let start = messages.length;
+  let used = 0;
+
+  while (start > 0) {
+    const pairStart = messages[start - 1].role === 'assistant' && messages[start - 2]?.role === 'user'
+      ? start - 2
+      : start - 1;
+    const cost = messages.slice(pairStart, start).reduce((sum, m) => sum + messageTokens(m), 0);
+    if (used + cost > recentBudget) break;
+    used += cost;
+    start = pairStart;
+  }
+
+  return { older: messages.slice(0, start), recent: messages.slice(start) };
+}
+
+// Citation markers point at excerpts that won't be in the next prompt
+const plain = (text) => text
+  .replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, '')
+  .replace(/[*_`#>|]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+function firstSentence(text, maxChars = 200) {
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+  return sentence.length > maxChars ? sentence.slice(0, maxChars).trimEnd() + '...' : sentence;
+}
+
+// One line per message: what the user said (their facts live there), or the
+// answer's opening sentence plus the dollar figures it mentioned
+export function summarizeMessage(message) {
+  const text = plain(message.content);
+  if (message.role === 'user') return `- User: ${text.length > 300 ? text.slice(0, 300).trimEnd() + '...' : text}`;
+
+  const lead = firstSentence(text);
+  const figures = [...new Set(text.slice(lead.length).match(/\$[\d,]+(?:\.\d+)?/g) || [])].slice(0, 4);
+  return `- Assistant: ${lead}${figures.length ? ` (figures: ${figures.join(', ')})` : ''}`;
+}
+
+// Extend the previous summary with newly aged-out messages, dropping the oldest
+// lines once it outgrows its share of the budget
+export function extractiveSummary(previous, messages, maxTokens) {
+  const lines = [
+    ...(previous ? previous.split('\n') : []),
+    ...messages.map(summarizeMessage)
+  ];
+  while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) lines.shift();
+  return lines.join('\n');
+}
+
+export function summaryBudget(budget) {
+  return Math.floor(budget * SUMMARY_SHARE);
+}
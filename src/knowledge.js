@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { KB_MANIFEST } from './config.js';
+import { chunkDocument } from './chunker.js';
+
+const REQUIRED_FIELDS = ['id', 'title', 'taxYear', 'jurisdiction', 'path'];
+
+export async function loadManifest(manifestPath = KB_MANIFEST) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read knowledge base manifest ${manifestPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(manifest.sources) || manifest.sources.length === 0) {
+    throw new Error(`Knowledge base manifest ${manifestPath} lists no sources`);
+  }
+
+  const seen = new Set();
+  const sources = manifest.sources.map((source, i) => {
+    const missing = REQUIRED_FIELDS.filter(field => source[field] === undefined || source[field] === '');
+    if (missing.length > 0) {
+      throw new Error(`Manifest source #${i + 1} is missing: ${missing.join(', ')}`);
+    }
+    if (seen.has(source.id)) {
+      throw new Error(`Manifest source id "${source.id}" is used twice`);
+    }
+    seen.add(source.id);
+
+    return {
+      ...source,
+      taxYear: Number(source.taxYear),
+      // Paths are relative to the manifest so a team manifest can live next to its own files
+      path: path.resolve(path.dirname(manifestPath), source.path)
+    };
+  });
+
+  return { ...manifest, sources };
+}
+
+// Read every source listed in the manifest. Sources marked "optional" are
+// skipped when their file isn't present; anything else missing is an error.
+export async function loadSources(manifest) {
+  const loaded = [];
+  const skipped = [];
+
+  for (const source of manifest.sources) {
+    try {
+      loaded.push({ ...source, text: await fs.readFile(source.path, 'utf-8') });
+    } catch (error) {
+      if (source.optional && error.code === 'ENOENT') {
+        skipped.push(source);
+        continue;
+      }
+      throw new Error(`Cannot read knowledge source "${source.id}" (${source.path}): ${error.message}`);
+    }
+  }
+
+  return { loaded, skipped };
+}
+
+// Chunk each source separately and tag every chunk with where it came from
+export function chunkSources(sources, chunkSize) {
+  return sources.flatMap(source => {
+    const tag = {
+      id: source.id,
+      title: source.title,
+      taxYear: source.taxYear,
+      jurisdiction: source.jurisdiction
+    };
+    return chunkDocument(source.text, { maxChars: chunkSize }).map(chunk => ({
+      ...chunk,
+      id: `${source.id}:${chunk.id}`,
+      source: tag
+    }));
+  });
+}
+
+// Years the question is explicitly about: "tax year 2024", "for 2023", "2024 return".
+// Bare years are ignored since filing dates ("April 15, 2026") name the following year.
+export function mentionedTaxYears(text) {
+  const years = new Set();
+  const pattern = /\b(?:tax year|for|in|during)\s+(20\d{2})\b|\b(20\d{2})\s+(?:tax|taxes|return|returns|income|filing)\b/gi;
+  for (const match of text.matchAll(pattern)) {
+    years.add(Number(match[1] || match[2]));
+  }
+  return [...years].sort();
+}
@@ -0,0 +1,338 @@
+import chalk from 'chalk';
+import { C, BOX, OUTPUT } from './config.js';
+import { renderTable } from './formatter.js';
+
+// Streaming markdown for the terminal. Text is rendered a line at a time as it
+// arrives and nothing already written is ever redrawn: a long line is written
+// one wrapped row at a time once the rows can no longer change, and tables are
+// held back until their last row so columns can be sized.
+
+const BULLETS = ['•', '◦', '▪'];
+const MONEY_OR_PERCENT = /\$[\d,]+(?:\.\d+)?|\d+(?:\.\d+)?%/g;
+const FENCE = /^\s*(```|~~~)\s*(\S*)/;
+const TABLE_ROW = /^\s*\|/;
+
+// Inline markdown as styled segments: [{ text, bold, italic, code, link, dim }].
+// Emphasis markers toggle left to right without looking ahead, so a prefix of
+// a line always parses the same way it will once the line is complete.
+export function parseInline(text) {
+  const segments = [];
+  const style = { bold: false, italic: false };
+  let buffer = '';
+  const push = (value, extra = {}) => {
+    if (value) segments.push({ text: value, ...style, ...extra });
+  };
+  const flush = () => {
+    push(buffer);
+    buffer = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const prev = text[i - 1] ?? ' ';
+    const next = text[i + 1] ?? ' ';
+
+    if (ch === '\\' && /[\\`*_[\]()#|>-]/.test(next)) {
+      buffer += next;
+      i++;
+      continue;
+    }
+
+    if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end !== -1) {
+        flush();
+        push(text.slice(i + 1, end), { code: true, bold: false, italic: false });
+        i = end;
+        continue;
+      }
+    }
+
+    if (ch === '[') {
+      // URLs may hold balanced parentheses, as Wikipedia and IRS links do
+      const link = text.slice(i).match(/^\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/);
+      if (link) {
+        flush();
+        push(link[1], { link: link[2] });
+        if (link[1] !== link[2]) push(` (${link[2]})`, { dim: true, bold: false, italic: false });
+        i += link[0].length - 1;
+        continue;
+      }
+    }
+
+    // ** and __ toggle bold: opening needs text after it, closing text before it
+    if ((ch === '*' || ch === '_') && next === ch) {
+      const opening = !style.bold && !/\s/.test(text[i + 2] ?? ' ');
+      const closing = style.bold && !/\s/.test(prev);
+      if (opening || closing) {
+        flush();
+        style.bold = !style.bold;
+        i++;
+        continue;
+      }
+    }
+
+    // * and _ toggle italics; _ inside a word (snake_case) stays literal
+    if (ch === '*' || ch === '_') {
+      const inWord = (c) => ch === '_' && /[A-Za-z0-9]/.test(c);
+      const opening = !style.italic && !/\s/.test(next) && !inWord(prev);
+      const closing = style.italic && !/\s/.test(prev) && !inWord(next);
+      if (opening || closing) {
+        flush();
+        style.italic = !style.italic;
+        continue;
+      }
+    }
+
+    buffer += ch;
+  }
+  flush();
+  return segments;
+}
+
+// True when later text can't change how this partial line parses: no code
+// span or link is left open
+function isSettled(text) {
+  const backticks = (text.match(/`/g) || []).length;
+  return backticks % 2 === 0 && !/\[[^\]]*(\](\([^)]*)?)?$/.test(text);
+}
+
+function stylePiece({ text, bold, italic, code, link, dim }) {
+  if (code) return C.code(text);
+  if (dim) return C.dim(text);
+  let styled = text.replace(MONEY_OR_PERCENT, match => C.highlight(match));
+  if (link) styled = chalk.underline(styled);
+  if (bold) styled = chalk.bold(styled);
+  if (italic) styled = chalk.italic(styled);
+  return styled;
+}
+
+// One line of inline markdown styled for the terminal, without wrapping
+export function renderInline(text) {
+  return parseInline(text).map(stylePiece).join('');
+}
+
+// Words (runs between spaces) as lists of styled pieces, since one word can
+// span segments ("**$1,000**," is bold then plain)
+function toWords(segments) {
+  const words = [];
+  let current = null;
+  for (const segment of segments) {
+    for (const part of segment.text.split(/( +)/)) {
+      if (!part) continue;
+      if (part.startsWith(' ')) {
+        current = null;
+        continue;
+      }
+      if (!current) {
+        current = { pieces: [], length: 0 };
+        words.push(current);
+      }
+      current.pieces.push({ ...segment, text: part });
+      current.length += part.length;
+    }
+  }
+  return words;
+}
+
+// The first n characters of a word, and the rest
+function splitWord(word, n) {
+  const head = { pieces: [], length: 0 };
+  const tail = { pieces: [], length: 0 };
+  for (const piece of word.pieces) {
+    const room = n - head.length;
+    if (room >= piece.text.length) {
+      head.pieces.push(piece);
+      head.length += piece.text.length;
+    } else {
+      if (room > 0) {
+        head.pieces.push({ ...piece, text: piece.text.slice(0, room) });
+        head.length += room;
+      }
+      const rest = room > 0 ? piece.text.slice(room) : piece.text;
+      tail.pieces.push({ ...piece, text: rest });
+      tail.length += rest.length;
+    }
+  }
+  return [head, tail];
+}
+
+// Greedy word wrap to width visible characters. Rows before the last only
+// depend on the words in them, so they're final even while the line grows.
+export function wrapSegments(segments, width) {
+  const rows = [[]];
+  let used = 0;
+
+  for (let word of toWords(segments)) {
+    while (word.length > 0) {
+      const gap = used > 0 ? 1 : 0;
+      if (used + gap + word.length <= width) {
+        if (gap) rows.at(-1).push({ text: ' ' });
+        rows.at(-1).push(...word.pieces);
+        used += gap + word.length;
+        break;
+      }
+      if (used > 0) {
+        rows.push([]);
+        used = 0;
+        continue;
+      }
+      // Longer than a whole row: break it
+      const [head, tail] = splitWord(word, width);
+      rows.at(-1).push(...head.pieces);
+      rows.push([]);
+      word = tail;
+    }
+  }
+
+  if (rows.length > 1 && rows.at(-1).length === 0) rows.pop();
+  return rows.map(row => row.map(stylePiece).join(''));
+}
+
+export class MarkdownStream {
+  constructor({ width = process.stdout.columns || 80, indent = '  ', write = text => process.stdout.write(text) } = {}) {
+    // One column spare so a full row never triggers the terminal's own wrap
+    this.width = Math.max(20, width - indent.length - 1);
+    this.indent = indent;
+    this.write = write;
+    this.pending = '';
+    this.written = 0;
+    this.fence = null;
+    this.table = [];
+  }
+
+  push(text) {
+    this.pending += text;
+    let newline;
+    while ((newline = this.pending.indexOf('\n')) !== -1) {
+      const line = this.pending.slice(0, newline);
+      this.pending = this.pending.slice(newline + 1);
+      this.renderLine(line);
+      this.written = 0;
+    }
+    this.renderPartial();
+  }
+
+  // Write everything held back: the unfinished line and any open table
+  flush() {
+    if (this.pending) {
+      this.renderLine(this.pending);
+      this.pending = '';
+      this.written = 0;
+    }
+    this.flushTable();
+  }
+
+  writeRows(rows) {
+    for (const row of rows) this.write(this.indent + row + '\n');
+  }
+
+  flushTable() {
+    if (this.table.length === 0) return;
+    const { rendered } = renderTable(this.table, 0);
+    if (rendered) {
+      // renderTable opens with a blank line of its own; the answer already has one
+      this.write(rendered.replace(/^\n/, ''));
+    } else {
+      this.table.forEach(line => this.writeRows(this.renderBlock(line)));
+    }
+    this.table = [];
+  }
+
+  renderLine(line) {
+    if (this.fence) {
+      if (line.trim().startsWith(this.fence)) {
+        this.fence = null;
+      } else {
+        this.writeRows(this.renderCode(line));
+      }
+      return;
+    }
+
+    if (TABLE_ROW.test(line)) {
+      this.table.push(line);
+      return;
+    }
+    this.flushTable();
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      this.fence = fence[1];
+      if (fence[2]) this.writeRows([OUTPUT.plain ? `Code (${fence[2]}):` : C.dim(`│ ${fence[2]}`)]);
+      return;
+    }
+
+    // Rows of this line already written while it was streaming are skipped
+    this.writeRows(this.renderBlock(line).slice(this.written));
+  }
+
+  // Write the wrapped rows of the unfinished line that are already final
+  renderPartial() {
+    const line = this.pending;
+    if (!line || this.fence || this.table.length > 0) return;
+    if (FENCE.test(line) || TABLE_ROW.test(line) || !isSettled(line)) return;
+
+    const rows = this.renderBlock(line);
+    if (rows.length - 1 > this.written) {
+      this.writeRows(rows.slice(this.written, -1));
+      this.written = rows.length - 1;
+    }
+  }
+
+  // Code keeps its spacing; plain output indents it instead of drawing a bar
+  renderCode(line) {
+    const gutter = OUTPUT.plain ? '    ' : C.dim('│ ');
+    const width = this.width - (OUTPUT.plain ? 4 : 2);
+    const rows = [];
+    for (let i = 0; i < Math.max(line.length, 1); i += width) {
+      rows.push(gutter + C.code(line.slice(i, i + width)));
+    }
+    return rows;
+  }
+
+  // One markdown line as terminal rows, without the base indent
+  renderBlock(line) {
+    if (!line.trim()) return [''];
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const style = level === 2 || level > 3 ? chalk.bold : chalk.bold.underline;
+      const segments = parseInline(heading[2]).map(segment => ({ ...segment, bold: true }));
+      return wrapSegments(segments, this.width).map(row => style(row));
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      return [C.dim(BOX.h.repeat(Math.min(this.width, 76)))];
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      const segments = parseInline(quote[1]).map(segment => ({ ...segment, italic: true }));
+      const bar = OUTPUT.plain ? '> ' : C.dim('│ ');
+      return wrapSegments(segments, this.width - 2).map(row => bar + row);
+    }
+
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      const level = Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), 4);
+      const bullet = OUTPUT.plain ? '-' : BULLETS[level % BULLETS.length];
+      const marker = /\d/.test(item[2]) ? item[2] : bullet;
+      const lead = '  '.repeat(level) + marker + ' ';
+      const hanging = ' '.repeat(lead.length);
+      return wrapSegments(parseInline(item[3]), this.width - lead.length)
+        .map((row, i) => (i === 0 ? '  '.repeat(level) + C.dim(marker) + ' ' : hanging) + row);
+    }
+
+    return wrapSegments(parseInline(line.trim()), this.width);
+  }
+}
+
+// Render a whole markdown document at once
+export function renderMarkdown(content, options = {}) {
+  let output = '';
+  const stream = new MarkdownStream({ ...options, write: text => { output += text; } });
+  stream.push(content);
+  stream.flush();
+  return output;
+}
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import { CONFIG_DIR, PROFILE_PATH } from './config.js';
+import { readJsonFile, writeJsonFile, secureDelete } from './vault.js';
+import { FILING_STATUSES } from './calculator.js';
+import { documentTitle } from './documents.js';
+
+export const INCOME_TYPES = [
+  'wages',
+  'self-employment',
+  'interest',
+  'dividends',
+  'capital gains',
+  'rental',
+  'retirement',
+  'social security',
+  'unemployment'
+];
+
+export const STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+export function emptyProfile() {
+  return {
+    filingStatus: null,
+    age: null,
+    dependents: [],
+    incomeTypes: [],
+    state: null,
+    hsa: false,
+    ira: false,
+    documents: [],
+    updatedAt: null
+  };
+}
+
+export function isEmptyProfile(profile) {
+  return !profile || (
+    !profile.filingStatus && profile.age === null && profile.dependents.length === 0 &&
+    profile.incomeTypes.length === 0 && !profile.state && !profile.hsa && !profile.ira &&
+    profile.documents.length === 0
+  );
+}
+
+export class ProfileManager {
+  constructor() {
+    this.profile = emptyProfile();
+  }
+
+  async load() {
+    try {
+      const data = await readJsonFile(PROFILE_PATH);
+      this.profile = { ...emptyProfile(), ...data };
+    } catch (error) {
+      // A missing or unreadable file starts over; one that won't decrypt must not be saved over
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      this.profile = emptyProfile();
+    }
+    return this.profile;
+  }
+
+  async save() {
+    await fs.mkdir(CONFIG_DIR, { recursive: true });
+    await writeJsonFile(PROFILE_PATH, this.profile);
+  }
+
+  async update(changes) {
+    this.profile = { ...this.profile, ...changes, updatedAt: new Date().toISOString() };
+    await this.save();
+    return this.profile;
+  }
+
+  // The old profile is overwritten on disk, not just unlinked
+  async clear() {
+    this.profile = emptyProfile();
+    try {
+      await secureDelete(PROFILE_PATH);
+    } catch {
+      // Nothing saved yet
+    }
+  }
+}
+
+// Label/value pairs shared by /profile and the system prompt
+export function describeProfile(profile) {
+  const rows = [];
+  if (profile.filingStatus) rows.push(['Filing status', FILING_STATUSES[profile.filingStatus]]);
+  if (profile.age !== null) rows.push(['Age', String(profile.age)]);
+  if (profile.dependents.length > 0) {
+    const ages = profile.dependents.map(d => d.age).filter(age => age !== null && age !== undefined);
+    rows.push(['Dependents', `${profile.dependents.length}${ages.length ? ` (ages ${ages.join(', ')})` : ''}`]);
+  }
+  if (profile.incomeTypes.length > 0) rows.push(['Income types', profile.incomeTypes.join(', ')]);
+  if (profile.state) rows.push(['State', STATES[profile.state] || profile.state]);
+  rows.push(['HSA participant', profile.hsa ? 'yes' : 'no']);
+  rows.push(['IRA participant', profile.ira ? 'yes' : 'no']);
+  if (profile.documents.length > 0) rows.push(['Tax documents', profile.documents.map(documentTitle).join(', ')]);
+  return rows;
+}
+
+// Low-weight retrieval context: steers ranking toward passages that apply to this taxpayer
+export function profileSearchTerms(profile) {
+  const terms = [];
+  if (profile.filingStatus) terms.push(FILING_STATUSES[profile.filingStatus]);
+  if (profile.age >= 65) terms.push('65 or older');
+  if (profile.dependents.some(d => d.age < 17)) terms.push('child tax credit');
+  if (profile.dependents.some(d => d.age >= 17 || d.age === null || d.age === undefined)) terms.push('credit for other dependents');
+  terms.push(...profile.incomeTypes);
+  if (profile.hsa) terms.push('health savings account');
+  if (profile.ira) terms.push('individual retirement arrangement');
+  return terms.join(' ');
+}
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const INCOME_PATTERNS = [
+  ['wages', /\b(w-?2|salary|salaried|wages|my job|employer)\b/i],
+  ['self-employment', /\b(self[- ]employed|freelanc\w*|1099-nec|independent contractor|side (business|gig)|sole proprietor)\b/i],
+  ['interest', /\b(interest income|savings interest|1099-int)\b/i],
+  ['dividends', /\b(dividends?|1099-div)\b/i],
+  ['capital gains', /\b(capital gains?|sold (stock|shares)|stock sales?)\b/i],
+  ['rental', /\b(rental (property|income)|landlord|rent out)\b/i],
+  ['retirement', /\b(pension|annuity|401\(?k\)? distributions?|retired)\b/i],
+  ['social security', /\bsocial security (benefits|income)\b/i],
+  ['unemployment', /\bunemployment (benefits|compensation)\b/i]
+];
+
+// "I have an", "we also contribute to our", "... and have a" but not "should I have an"
+const HAVE_ACCOUNT = /(?<!\b(?:should|can|could|would|do|if|whether) )\b(?:i|we|and)(?: also)? (?:have|contribute to|fund|opened) (?:an? |my |our )?/;
+
+// Facts the user stated about themselves that differ from the saved profile.
+// Returns [{ field, value, label }] for the user to confirm; nothing is saved here.
+export function detectProfileFacts(text, profile) {
+  const proposals = [];
+  const propose = (field, value, label) => {
+    if (JSON.stringify(profile[field]) !== JSON.stringify(value)) proposals.push({ field, value, label });
+  };
+
+  const status = [
+    ['mfj', /\b(married filing jointly|file jointly|joint return|(i'?m|i am|we'?re|we are) (\d+ and )?married)\b/i],
+    ['mfs', /\b(married filing separately|file separately)\b/i],
+    ['hoh', /\b(head of household)\b/i],
+    ['qss', /\b(qualifying (surviving spouse|widow(er)?))\b/i],
+    ['single', /\b(i'?m|i am) (single|divorced|unmarried)\b/i]
+  ].find(([, pattern]) => pattern.test(text));
+  if (status) propose('filingStatus', status[0], `Filing status: ${FILING_STATUSES[status[0]]}`);
+
+  const age = text.match(/\b(?:i'?m|i am|i turned)\s+(\d{2})(?:\s*(?:years?[- ]old|yo))?\b(?!\s*(?:%|percent|k\b|dollars))/i);
+  if (age && Number(age[1]) >= 16 && Number(age[1]) <= 110) {
+    propose('age', Number(age[1]), `Age: ${age[1]}`);
+  }
+
+  const kids = text.match(/\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\s+(?:kids?|child(?:ren)?|dependents?|sons?|daughters?)\b/i);
+  if (kids) {
+    const count = NUMBER_WORDS[kids[1].toLowerCase()] ?? Number(kids[1]);
+    const agesMatch = text.match(/\bages?\s+(\d+(?:\s*(?:,|and|&)\s*\d+)*)/i);
+    const ages = agesMatch ? agesMatch[1].split(/\s*(?:,|and|&)\s*/).map(Number) : [];
+    const dependents = Array.from({ length: count }, (_, i) => ({ age: ages[i] ?? null }));
+    propose('dependents', dependents, `Dependents: ${count}${ages.length ? ` (ages ${ages.join(', ')})` : ''}`);
+  }
+
+  const stateMatch = text.match(/\b(?:I|[Ww]e)\s+(?:live|reside|moved)\s+(?:in|to)\s+([A-Z][a-zA-Z]+(?:\s[A-Z][a-zA-Z]+)?)/);
+  if (stateMatch) {
+    const name = stateMatch[1].toLowerCase();
+    const code = Object.keys(STATES).find(c => STATES[c].toLowerCase() === name || STATES[c].toLowerCase() === name.split(' ')[0]);
+    if (code) propose('state', code, `State: ${STATES[code]}`);
+  }
+
+  const incomeTypes = INCOME_PATTERNS
+    .filter(([type, pattern]) => pattern.test(text) && !profile.incomeTypes.includes(type))
+    .map(([type]) => type);
+  if (incomeTypes.length > 0) {
+    propose('incomeTypes', [...profile.incomeTypes, ...incomeTypes], `Income: ${incomeTypes.join(', ')}`);
+  }
+
+  if (new RegExp(`${HAVE_ACCOUNT.source}(hsa|health savings account)\\b`, 'i').test(text)) {
+    propose('hsa', true, 'Participates in an HSA');
+  }
+  if (new RegExp(`${HAVE_ACCOUNT.source}(roth |traditional )?ira\\b`, 'i').test(text)) {
+    propose('ira', true, 'Participates in an IRA');
+  }
+
+  return proposals;
+}
@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import OpenAI from 'openai';
+import { LLM_PROVIDER, LLM_BASE_URL, LLM_API_KEY, MOCK_RESPONSES, LLM_MAX_RETRIES, REQUEST_TIMEOUT } from './config.js';
+import { estimateTokens } from './tokens.js';
+
+// Every provider exposes complete(params, { signal }) taking OpenAI chat.completions
+// parameters and returning an async iterable of streamed chunks in OpenAI's shape.
+// Aborting signal cancels the request, including a stream that's under way.
+
+export const PROVIDERS = ['openrouter', 'openai', 'mock'];
+
+class OpenAIProvider {
+  constructor({ name, baseURL, apiKey, keyName, defaultHeaders = {} }) {
+    this.name = name;
+    this.keyName = keyName;
+    // Retries happen in withRetry so every provider gets the same behaviour
+    this.client = new OpenAI({ baseURL, apiKey, defaultHeaders, maxRetries: 0, timeout: REQUEST_TIMEOUT });
+  }
+
+  async complete(params, { signal } = {}) {
+    try {
+      return await this.client.chat.completions.create(params, { signal });
+    } catch (error) {
+      if (error.status === 401) {
+        throw new Error(`Invalid API key. Check ${this.keyName} in .env`);
+      }
+      throw error;
+    }
+  }
+}
+
+// Excerpts as formatContext writes them into the system prompt
+const CONTEXT_EXCERPT = /^\[(\d+)\] \(([^)\s]+)\) (.+)\n([\s\S]*?)(?=\n---\n|\n\n|(?![\s\S]))/gm;
+
+// Deterministic, offline provider. Scripted replies come from a JSON file
+// (MOCK_RESPONSES) of { match?, answer, toolCalls? } entries: the first entry whose
+// match regex fits the question wins, otherwise entries without match are replayed
+// in order. With nothing scripted it answers from the retrieved excerpts alone.
+export class MockProvider {
+  constructor({ responsesPath = MOCK_RESPONSES, responses = null } = {}) {
+    this.name = 'mock';
+    this.responsesPath = responsesPath;
+    this.responses = responses;
+    this.replayed = 0;
+  }
+
+  async loadResponses() {
+    if (this.responses) return this.responses;
+    if (!this.responsesPath) return (this.responses = []);
+    const data = JSON.parse(await fs.readFile(this.responsesPath, 'utf-8'));
+    if (!Array.isArray(data)) throw new Error(`${this.responsesPath} must contain a JSON array of responses`);
+    return (this.responses = data);
+  }
+
+  async pickResponse(question, isFollowUp) {
+    const responses = await this.loadResponses();
+    const matched = responses.find(r => r.match && new RegExp(r.match, 'i').test(question));
+    if (matched) return matched;
+
+    const sequence = responses.filter(r => !r.match);
+    if (this.replayed >= sequence.length) return null;
+    // A tool follow-up belongs to the entry that asked for the tools
+    return isFollowUp ? sequence[this.replayed - 1] : sequence[this.replayed++];
+  }
+
+  retrievalAnswer(systemPrompt) {
+    const excerpts = [...systemPrompt.matchAll(CONTEXT_EXCERPT)];
+    if (excerpts.length === 0) {
+      return 'No passages in the knowledge base match this question.';
+    }
+    return 'The most relevant passages for this question:\n\n' + excerpts
+      .map(([, n, , location, text]) => {
+        const preview = text.replace(/\s+/g, ' ').trim();
+        return `- **${location}** [${n}]: ${preview.length > 240 ? preview.slice(0, 240) + '...' : preview}`;
+      })
+      .join('\n') + '\n';
+  }
+
+  async complete({ messages, tools, tool_choice: toolChoice }, { signal } = {}) {
+    const question = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const isFollowUp = messages[messages.length - 1].role === 'tool';
+    const response = await this.pickResponse(question, isFollowUp);
+
+    const chunks = [];
+    if (response?.toolCalls && !isFollowUp && tools && toolChoice !== 'none') {
+      chunks.push({
+        choices: [{
+          delta: {
+            tool_calls: response.toolCalls.map((call, index) => ({
+              index,
+              id: `mock-call-${index + 1}`,
+              function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+            }))
+          }
+        }]
+      });
+    } else {
+      const answer = response?.answer ?? this.retrievalAnswer(messages[0]?.content || '');
+      // Word-sized pieces so streaming paths get exercised
+      for (const piece of answer.match(/\S+\s*|\s+/g) || []) {
+        chunks.push({ choices: [{ delta: { content: piece } }] });
+      }
+    }
+
+    const promptTokens = estimateTokens(messages.map(m => m.content || '').join('\n'));
+    const completionTokens = estimateTokens(chunks.map(c => c.choices[0].delta.content || '').join(''));
+    chunks.push({
+      choices: [],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+
+    return (async function* () {
+      for (const chunk of chunks) {
+        signal?.throwIfAborted();
+        yield chunk;
+      }
+    })();
+  }
+}
+
+// Rate limits, server errors and connections that failed or timed out are worth another try
+export function isRetryable(error) {
+  if (error instanceof OpenAI.APIUserAbortError) return false;
+  if (error instanceof OpenAI.APIConnectionError) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+// Milliseconds to wait before retry number attempt: the server's Retry-After when
+// it sends one, otherwise exponential backoff with jitter (1s, 2s, 4s...)
+function retryDelay(error, attempt) {
+  const header = typeof error.headers?.get === 'function'
+    ? error.headers.get('retry-after')
+    : error.headers?.['retry-after'];
+  const seconds = Number(header);
+  if (header && Number.isFinite(seconds)) return Math.min(seconds * 1000, 60000);
+  return 1000 * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Start a request with fn(), retrying retryable failures. onRetry({ attempt, delay, error })
+// is told before each wait. Only starting the request is retried: once a stream has
+// sent text, a retry would repeat it.
+export async function withRetry(fn, { retries = LLM_MAX_RETRIES, signal, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (signal?.aborted || attempt > retries || !isRetryable(error)) throw error;
+      const delay = retryDelay(error, attempt);
+      onRetry({ attempt, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// What's missing for a provider to work, or null when it's ready
+export function providerConfigError(name = LLM_PROVIDER) {
+  switch (name) {
+    case 'openrouter':
+      if (!process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY === 'your_openrouter_api_key_here') {
+        return {
+          message: 'OPENROUTER_API_KEY not set',
+          hints: ['1. Copy .env.example to .env', '2. Add your API key from https://openrouter.ai/keys']
+        };
+      }
+      return null;
+    case 'openai':
+      if (!LLM_BASE_URL) {
+        return {
+          message: 'LLM_BASE_URL not set',
+          hints: ['Point it at an OpenAI-compatible server, e.g. http://localhost:11434/v1 for Ollama', 'and set MODEL to a model that server provides']
+        };
+      }
+      return null;
+    case 'mock':
+      return null;
+    default:
+      return {
+        message: `Unknown LLM_PROVIDER "${name}"`,
+        hints: [`Use one of: ${PROVIDERS.join(', ')}`]
+      };
+  }
+}
+
+export function createProvider(name = LLM_PROVIDER) {
+  const configError = providerConfigError(name);
+  if (configError) throw new Error(configError.message);
+
+  switch (name) {
+    case 'openrouter':
+      return new OpenAIProvider({
+        name,
+        baseURL: 'https://openrouter.ai/api/v1',
+        apiKey: process.env.OPENROUTER_API_KEY,
+        keyName: 'OPENROUTER_API_KEY',
+        defaultHeaders: {
+          'HTTP-Referer': 'https://github.com/tax-gpt',
+          'X-Title': 'Tax GPT'
+        }
+      });
+    case 'openai':
+      // Local servers usually ignore the key, but the client insists on one
+      return new OpenAIProvider({
+        name,
+        baseURL: LLM_BASE_URL,
+        apiKey: LLM_API_KEY || 'not-needed',
+        keyName: 'LLM_API_KEY'
+      });
+    case 'mock':
+      return new MockProvider();
+  }
+}
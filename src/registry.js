@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { PLUGINS_DIR } from './config.js';
+
+// Slash commands as data. Each command declares:
+//   name      'export', typed as /export (matched case-insensitively)
+//   aliases   other names for it: ['x']
+//   summary   one line for /help
+//   args      positional arguments, in order:
+//               { name, description?, required?, rest?, type?: 'number', choices? }
+//             rest takes the remainder of the line; choices is a list, or a
+//             function returning one, that values must come from (and that Tab
+//             completes)
+//   run       (args, context) -> handled; args are keyed by name
+// Built-in commands and plugins register the same way.
+
+const COMMAND_NAME = /^[a-z][a-z0-9-]*$|^\?$/;
+
+// "/rename "Q1 planning" now" -> ['/rename', 'Q1 planning', 'now']
+export function splitArgs(text) {
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    words.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return words;
+}
+
+export class CommandRegistry {
+  constructor() {
+    this.commands = [];
+    this.names = new Map();
+  }
+
+  register(command, { plugin = null } = {}) {
+    const { name, aliases = [], args = [], summary, run } = command;
+    for (const key of [name, ...aliases]) {
+      if (!COMMAND_NAME.test(key || '')) throw new Error(`Invalid command name: ${key}`);
+    }
+    if (typeof run !== 'function') throw new Error(`/${name} has no run function`);
+    if (!summary) throw new Error(`/${name} has no summary`);
+    for (const taken of [name, ...aliases]) {
+      if (this.names.has(taken)) throw new Error(`/${taken} is already taken by /${this.names.get(taken).name}`);
+    }
+    args.forEach((arg, i) => {
+      if (arg.rest && i !== args.length - 1) throw new Error(`/${name}: only the last argument can take the rest of the line`);
+    });
+
+    const entry = { ...command, aliases, args, plugin };
+    this.commands.push(entry);
+    [name, ...aliases].forEach(key => this.names.set(key, entry));
+    return entry;
+  }
+
+  find(name) {
+    return this.names.get(name.replace(/^\//, '').toLowerCase()) || null;
+  }
+
+  list() {
+    return this.commands;
+  }
+
+  // "/export [format] [path]": <required>, [optional]
+  signature(command) {
+    return ['/' + command.name, ...command.args.map(arg => arg.required ? `<${arg.name}>` : `[${arg.name}]`)].join(' ');
+  }
+
+  choicesFor(arg) {
+    const choices = typeof arg.choices === 'function' ? arg.choices() : arg.choices;
+    return (choices || []).map(String);
+  }
+
+  // A line of input -> { command, args }, or null when the command is unknown.
+  // Throws with the usage when the arguments don't fit the command's schema.
+  parse(input) {
+    const [first, ...words] = splitArgs(input.trim());
+    const command = this.find(first || '');
+    if (!command) return null;
+
+    const usage = `Usage: ${this.signature(command)}`;
+    const args = {};
+    for (const arg of command.args) {
+      let value = arg.rest ? words.splice(0).join(' ') : words.shift();
+      if (value === undefined || value === '') {
+        if (arg.required) throw new Error(`Missing ${arg.name}. ${usage}`);
+        args[arg.name] = null;
+        continue;
+      }
+      const choices = this.choicesFor(arg);
+      if (choices.length > 0) {
+        const choice = choices.find(c => c.toLowerCase() === value.toLowerCase());
+        if (!choice) throw new Error(`${arg.name} must be one of ${choices.join(', ')}. ${usage}`);
+        value = choice;
+      }
+      if (arg.type === 'number') {
+        value = Number(value.replace(/[$,]/g, ''));
+        if (!Number.isFinite(value)) throw new Error(`${arg.name} must be a number. ${usage}`);
+      }
+      args[arg.name] = value;
+    }
+    if (words.length > 0) throw new Error(`Unexpected "${words.join(' ')}". ${usage}`);
+    return { command, args };
+  }
+
+  // readline completer: command names (and aliases) for the first word, then
+  // the choices of the argument being typed
+  complete(line) {
+    if (!line.startsWith('/')) return [[], line];
+
+    if (!/\s/.test(line)) {
+      const typed = line.slice(1).toLowerCase();
+      const hits = [...this.names.keys()]
+        .filter(name => name.startsWith(typed))
+        .sort()
+        .map(name => '/' + name);
+      // A single match that takes arguments gets its space, ready for them
+      if (hits.length === 1 && this.find(hits[0]).args.length > 0) hits[0] += ' ';
+      return [hits, line];
+    }
+
+    const command = this.find(line.split(/\s+/)[0]);
+    if (!command) return [[], line];
+    const words = line.split(/\s+/).slice(1);
+    const current = words.pop();
+    const arg = command.args[Math.min(words.length, command.args.length - 1)];
+    if (!arg || (!arg.rest && words.length >= command.args.length)) return [[], current];
+    const hits = this.choicesFor(arg).filter(choice => choice.toLowerCase().startsWith(current.toLowerCase()));
+    return [hits, current];
+  }
+}
+
+// Extra commands from ~/.tax-gpt/plugins: each .js or .mjs file default-exports
+// a command (or an array of them) shaped like the built-ins. A file that fails
+// to load, or a command whose name is taken, is reported and skipped.
+export async function loadPlugins(registry, dir = PLUGINS_DIR) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => /\.m?js$/.test(f)).sort();
+  } catch {
+    return { loaded: [], failed: [] };
+  }
+
+  const loaded = [];
+  const failed = [];
+  for (const file of files) {
+    let commands;
+    try {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      commands = [module.default].flat().filter(Boolean);
+      if (commands.length === 0) throw new Error('no default export');
+    } catch (error) {
+      failed.push({ file, error: error.message });
+      continue;
+    }
+    for (const command of commands) {
+      try {
+        if (typeof command !== 'object') throw new Error('the default export is not a command');
+        loaded.push(registry.register(command, { plugin: file }));
+      } catch (error) {
+        failed.push({ file, error: error.message });
+      }
+    }
+  }
+  return { loaded, failed };
+}
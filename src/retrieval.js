@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Bump when tokenization or the on-disk layout changes so stale indexes get rebuilt
+export const INDEX_VERSION = 1;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const CONTEXT_WEIGHT = 0.3;
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from',
+  'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours',
+  'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the',
+  'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself'
+]);
+
+// Acronyms used throughout Pub 17, mapped to the phrase they abbreviate.
+// Acronyms that share a phrase (eic/eitc) are treated as synonyms of each other.
+export const TAX_SYNONYMS = {
+  agi: 'adjusted gross income',
+  magi: 'modified adjusted gross income',
+  eic: 'earned income credit',
+  eitc: 'earned income credit',
+  ctc: 'child tax credit',
+  actc: 'additional child tax credit',
+  odc: 'credit for other dependents',
+  aotc: 'american opportunity credit',
+  llc: 'lifetime learning credit',
+  ptc: 'premium tax credit',
+  hsa: 'health savings account',
+  fsa: 'flexible spending arrangement',
+  ira: 'individual retirement arrangement',
+  rmd: 'required minimum distribution',
+  ssn: 'social security number',
+  itin: 'individual taxpayer identification number',
+  mfj: 'married filing jointly',
+  mfs: 'married filing separately',
+  hoh: 'head of household',
+  qss: 'qualifying surviving spouse',
+  amt: 'alternative minimum tax',
+  salt: 'state and local taxes',
+  qbi: 'qualified business income',
+  fica: 'social security and medicare taxes'
+};
+
+const SUFFIXES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['iveness', 'ive'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['ements', ''],
+  ['ement', ''],
+  ['ments', ''],
+  ['ment', ''],
+  ['ities', ''],
+  ['ity', ''],
+  ['ions', ''],
+  ['ion', ''],
+  ['ible', ''],
+  ['able', ''],
+  ['ings', ''],
+  ['ing', ''],
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['sses', 'ss'],
+  ['ed', ''],
+  ['ly', ''],
+  ['es', ''],
+  ['s', '']
+];
+
+// Light suffix-stripping stemmer: maps deduction/deductions/deductible to "deduct"
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+    if (suffix === 's' && /(ss|us|is)$/.test(word)) break;
+    const base = word.slice(0, -suffix.length) + replacement;
+    if (base.length < 3 || !/[aeiouy]/.test(base)) break;
+    word = base;
+    break;
+  }
+
+  if (word.length > 3 && word.endsWith('e')) word = word.slice(0, -1);
+  return word;
+}
+
+// Lowercased words with tax-specific punctuation folded ("401(k)" -> "401k", "W-2" -> "w2")
+export function splitWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/(\d+)\(([a-z])\)/g, '$1$2')
+    .replace(/\b([a-z]{1,2})-(\d+)/g, '$1$2')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+export function tokenize(text) {
+  return splitWords(text)
+    .filter(w => (w.length > 1 || /\d/.test(w)) && !STOP_WORDS.has(w))
+    .map(stem);
+}
+
+const phraseTerms = new Map(
+  Object.entries(TAX_SYNONYMS).map(([acronym, phrase]) => [acronym, tokenize(phrase)])
+);
+
+// Weighted query terms: the query's own terms, plus the phrase behind any acronym
+// it uses and the acronym for any phrase it spells out
+export function expandQuery(query) {
+  const words = splitWords(query);
+  const weights = new Map();
+  const add = (term, weight) => weights.set(term, Math.max(weights.get(term) || 0, weight));
+
+  for (const term of tokenize(query)) add(term, 1);
+
+  const queryTerms = tokenize(query).join(' ');
+  for (const [acronym, terms] of phraseTerms) {
+    const phrase = TAX_SYNONYMS[acronym];
+    if (words.includes(acronym)) {
+      for (const term of terms) add(term, 0.5);
+      for (const [other, otherPhrase] of Object.entries(TAX_SYNONYMS)) {
+        if (otherPhrase === phrase) add(other, 1);
+      }
+    } else if (terms.length > 1 && ` ${queryTerms} `.includes(` ${terms.join(' ')} `)) {
+      add(acronym, 1);
+    }
+  }
+
+  return weights;
+}
+
+// Wrap the words of text that match a query term (after stemming and acronym
+// expansion) with mark(word), leaving everything else untouched
+export function highlightMatches(text, query, mark) {
+  const terms = expandQuery(query);
+  return text.replace(/[A-Za-z0-9][A-Za-z0-9()’'-]*/g, (word) => {
+    const [term] = tokenize(word);
+    return term && terms.has(term) ? mark(word) : word;
+  });
+}
+
+// The few lines of text with the most query matches, for result listings
+export function snippet(text, query, maxLines = 4) {
+  const terms = expandQuery(query);
+  const lines = text.split('\n');
+  const hits = lines.map(line => tokenize(line).filter(term => terms.has(term)).length);
+
+  // Windows start on a matching line so the excerpt opens with a hit
+  let best = 0;
+  let bestHits = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (hits[i] === 0) continue;
+    const windowHits = hits.slice(i, i + maxLines).reduce((sum, n) => sum + n, 0);
+    if (windowHits > bestHits) {
+      best = i;
+      bestHits = windowHits;
+    }
+  }
+  const start = Math.max(0, Math.min(best, lines.length - maxLines));
+  return lines.slice(start, start + maxLines).join('\n');
+}
+
+export function fingerprint(docs) {
+  const hash = crypto.createHash('sha1');
+  hash.update(`v${INDEX_VERSION}`);
+  for (const doc of docs) hash.update('\u0000' + doc);
+  return hash.digest('hex');
+}
+
+export class SearchIndex {
+  constructor({ fingerprint, lengths, postings }) {
+    this.fingerprint = fingerprint;
+    this.lengths = lengths;
+    this.postings = postings;
+    this.avgLength = lengths.reduce((sum, len) => sum + len, 0) / (lengths.length || 1);
+  }
+
+  static build(docs) {
+    const lengths = [];
+    const postings = {};
+
+    docs.forEach((doc, idx) => {
+      const terms = tokenize(doc);
+      lengths.push(terms.length);
+
+      const counts = new Map();
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, tf] of counts) {
+        if (!Object.hasOwn(postings, term)) postings[term] = [];
+        postings[term].push(idx, tf);
+      }
+    });
+
+    return new SearchIndex({ fingerprint: fingerprint(docs), lengths, postings });
+  }
+
+  static async load(file, expectedFingerprint) {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+      if (data.version !== INDEX_VERSION || data.fingerprint !== expectedFingerprint) return null;
+      return new SearchIndex(data);
+    } catch {
+      return null;
+    }
+  }
+
+  async save(file) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      version: INDEX_VERSION,
+      fingerprint: this.fingerprint,
+      lengths: this.lengths,
+      postings: this.postings
+    }));
+  }
+
+  addScores(terms, scores, onlyExisting = false) {
+    const docCount = this.lengths.length;
+
+    for (const [term, weight] of terms) {
+      const postings = Object.hasOwn(this.postings, term) ? this.postings[term] : null;
+      if (!postings) continue;
+
+      const df = postings.length / 2;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const idx = postings[i];
+        if (onlyExisting && !scores.has(idx)) continue;
+        const tf = postings[i + 1];
+        const norm = 1 - BM25_B + BM25_B * (this.lengths[idx] / this.avgLength);
+        const score = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+        scores.set(idx, (scores.get(idx) || 0) + score);
+      }
+    }
+  }
+
+  // BM25 over the expanded query; returns [{ idx, score }] best first.
+  // filter(idx) narrows the candidates before the limit is applied. context is
+  // background text (e.g. the taxpayer profile) that only reorders passages
+  // the query already matched, at CONTEXT_WEIGHT of a query term.
+  search(query, limit = 5, filter = null, context = '') {
+    const scores = new Map();
+    const queryTerms = expandQuery(query);
+    this.addScores(queryTerms, scores);
+
+    if (context) {
+      const contextTerms = [...expandQuery(context)]
+        .filter(([term]) => !queryTerms.has(term))
+        .map(([term, weight]) => [term, weight * CONTEXT_WEIGHT]);
+      this.addScores(contextTerms, scores, true);
+    }
+
+    return [...scores]
+      .filter(([idx]) => !filter || filter(idx))
+      .map(([idx, score]) => ({ idx, score }))
+      .sort((a, b) => b.score - a.score || a.idx - b.idx)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,253 @@
+import http from 'http';
+import { MODEL, SERVER_HOST, SERVER_PORT } from './config.js';
+import { SessionManager, SESSION_ID, describeSession, parseTags } from './session.js';
+import { TaxEngine } from './engine.js';
+
+// JSON over HTTP for the same engine the terminal uses:
+//   GET    /health                  status, model and loaded sources
+//   GET    /sessions                saved sessions, most recently updated first
+//   POST   /sessions                { name?, tags?, taxYear? } -> new session
+//   GET    /sessions/:id            full session with messages
+//   DELETE /sessions/:id?secure=1   secure overwrites the file before removing it
+//   POST   /sessions/:id/ask        { question, stream? } -> answer
+//   POST   /ask                     { question, session?, taxYear?, stream? }
+// Answers stream as Server-Sent Events when stream is true or the client
+// accepts text/event-stream: "token", "tool", then "done" (or "error").
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+// "/sessions/abc/ask" -> ['sessions', 'abc', 'ask']. A malformed %-escape is the client's mistake.
+function pathParts(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, `Malformed path: ${pathname}`);
+  }
+}
+
+function checkSessionId(id) {
+  if (!SESSION_ID.test(id)) throw new HttpError(400, `Invalid session id: ${id}`);
+}
+
+async function sessionExists(id) {
+  const sessions = new SessionManager();
+  await sessions.init();
+  return sessions.sessions.includes(id);
+}
+
+function summarizeSession(session) {
+  return { ...describeSession(session), messages: session.messages.length };
+}
+
+// Session files are read-modify-write, so requests against one session run one at a time
+const sessionLocks = new Map();
+
+async function withSessionLock(id, fn) {
+  const previous = sessionLocks.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  sessionLocks.set(id, current);
+  try {
+    return await current;
+  } finally {
+    if (sessionLocks.get(id) === current) sessionLocks.delete(id);
+  }
+}
+
+export function createServer(base) {
+  function checkTaxYear(taxYear) {
+    if (taxYear !== null && !Number.isInteger(taxYear)) {
+      throw new HttpError(400, 'taxYear must be a year like 2025');
+    }
+    if (taxYear !== null && !base.getAvailableYears().includes(taxYear)) {
+      throw new HttpError(400, `Tax year ${taxYear} is not loaded (available: ${base.getAvailableYears().join(', ')})`);
+    }
+  }
+
+  // An engine on an existing session, or on a new one when sessionId is null
+  async function openEngine({ sessionId = null, taxYear = null } = {}) {
+    checkTaxYear(taxYear);
+    if (sessionId) {
+      checkSessionId(sessionId);
+      if (!await sessionExists(sessionId)) throw new HttpError(404, `Session not found: ${sessionId}`);
+    }
+    const engine = base.fork({ sessionId, taxYear });
+    await engine.startSession();
+    return engine;
+  }
+
+  async function ask(req, res, body, { sessionId = null, taxYear = null } = {}) {
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    if (!question) throw new HttpError(400, 'question is required');
+
+    const streaming = body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+
+    // A client that disconnects cancels its answer; what streamed so far is saved
+    const disconnected = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) disconnected.abort();
+    });
+
+    async function answer(engine) {
+      if (!streaming) {
+        const result = await engine.answer(question, { signal: disconnected.signal });
+        sendJson(res, 200, engine.answerDetails(question, result));
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      try {
+        const result = await engine.answer(question, {
+          signal: disconnected.signal,
+          onContent: (content) => sendEvent(res, 'token', { content }),
+          onToolCall: (call) => sendEvent(res, 'tool', call)
+        });
+        sendEvent(res, 'done', engine.answerDetails(question, result));
+      } catch (error) {
+        sendEvent(res, 'error', { error: error.message });
+      }
+      res.end();
+    }
+
+    // A new session is this request's alone. An existing one is read, answered and saved
+    // under its lock, so a request queued behind a delete gets a 404 instead of resurrecting it.
+    if (!sessionId) return answer(await openEngine({ taxYear }));
+    checkSessionId(sessionId);
+    return withSessionLock(sessionId, async () => answer(await openEngine({ sessionId, taxYear })));
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = pathParts(url.pathname);
+    const method = req.method;
+
+    if (parts[0] === 'health' && parts.length === 1 && method === 'GET') {
+      return sendJson(res, 200, {
+        status: 'ok',
+        provider: base.getProvider().name,
+        model: MODEL,
+        chunks: base.chunks.length,
+        taxYears: base.getAvailableYears(),
+        sources: base.sources.map(({ id, title, taxYear, jurisdiction }) => ({ id, title, taxYear, jurisdiction }))
+      });
+    }
+
+    if (parts[0] === 'ask' && parts.length === 1 && method === 'POST') {
+      const body = await readJson(req);
+      return ask(req, res, body, { sessionId: body.session || null, taxYear: body.taxYear ?? null });
+    }
+
+    if (parts[0] === 'sessions') {
+      const sessions = new SessionManager();
+      await sessions.init();
+
+      if (parts.length === 1 && method === 'GET') {
+        const list = [];
+        for (const id of sessions.sessions) {
+          const session = await sessions.readSession(id);
+          if (session) list.push(summarizeSession(session));
+        }
+        list.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        return sendJson(res, 200, { sessions: list });
+      }
+
+      if (parts.length === 1 && method === 'POST') {
+        const body = await readJson(req);
+        if (body.name !== undefined && typeof body.name !== 'string') throw new HttpError(400, 'name must be a string');
+        const tags = body.tags ?? [];
+        if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+          throw new HttpError(400, 'tags must be an array of strings');
+        }
+        const taxYear = body.taxYear ?? null;
+        checkTaxYear(taxYear);
+        const engine = base.fork({ taxYear });
+        await engine.sessionManager.createSession(body.name || null);
+        if (tags.length > 0) await engine.sessionManager.tagSession(parseTags(tags.join(',')));
+        await engine.startSession();
+        return sendJson(res, 201, engine.sessionManager.currentSession);
+      }
+
+      const id = parts[1];
+      if (id) {
+        checkSessionId(id);
+        if (!sessions.sessions.includes(id)) throw new HttpError(404, `Session not found: ${id}`);
+      }
+
+      if (parts.length === 2 && method === 'GET') {
+        return sendJson(res, 200, await sessions.loadSession(id));
+      }
+
+      if (parts.length === 2 && method === 'DELETE') {
+        const secure = ['1', 'true'].includes(url.searchParams.get('secure'));
+        await withSessionLock(id, () => sessions.deleteSession(id, { secure }));
+        return sendJson(res, 204);
+      }
+
+      if (parts.length === 3 && parts[2] === 'ask' && method === 'POST') {
+        const body = await readJson(req);
+        return ask(req, res, body, { sessionId: id });
+      }
+    }
+
+    throw new HttpError(404, `No route for ${method} ${url.pathname}`);
+  }
+
+  return http.createServer((req, res) => {
+    route(req, res).catch(error => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, error.status || 500, { error: error.message });
+    });
+  });
+}
+
+export async function runServer({ host = SERVER_HOST, port = SERVER_PORT, debug } = {}) {
+  const base = new TaxEngine({ debug });
+  const skipped = await base.loadKnowledge();
+  skipped.forEach(source => console.error(`Skipped ${source.title}: ${source.path} not found`));
+
+  const server = createServer(base);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`Tax GPT API listening on http://${host}:${server.address().port} (${base.chunks.length.toLocaleString()} chunks)`);
+  return server;
+}
@@ -1,17 +1,206 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { CONFIG_DIR, SESSIONS_DIR, MAX_HISTORY_TURNS, MODEL } from './config.js';
+import crypto from 'crypto';
+import { CONFIG_DIR, SESSIONS_DIR, MODEL } from './config.js';
+import { readJsonFile, writeJsonFile, secureDelete } from './vault.js';
+import { combineUsage, emptyUsage } from './usage.js';
+
+// Session ids are file names, so they're generated and never taken from what the
+// user typed: "20251018-142233-3f9a1c". Names are only for display and can be
+// anything, including duplicates. Older sessions used their name as their id.
+export const SESSION_ID = /^[\w-][\w.-]*$/;
+
+export function newSessionId(date = new Date()) {
+  const stamp = date.toISOString().replace(/\D/g, '').slice(0, 14);
+  return `${stamp.slice(0, 8)}-${stamp.slice(8)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// The layout of a session file. Files record the version they were written at
+// and older ones are brought up to date by MIGRATIONS, where entry n-1 takes a
+// session from version n-1 to n. The sessions directory keeps the version its
+// files were last migrated to in SCHEMA_FILE, so that happens once.
+export const SESSION_VERSION = 1;
+const SCHEMA_FILE = '.schema';
+
+const MIGRATIONS = [
+  // 1: sessions from before versioning, ids, tags and updatedAt
+  (session) => {
+    session.name ??= session.id;
+    session.messages ??= [];
+    session.metadata = { model: 'unknown', ...session.metadata };
+    session.metadata.tags ??= [];
+    session.metadata.totalTurns = session.messages.filter(m => m?.role === 'user').length;
+    session.updatedAt ??= session.messages.at(-1)?.timestamp || session.createdAt;
+  }
+];
+
+export function migrateSession(session) {
+  const version = session.version ?? 0;
+  if (version > SESSION_VERSION) {
+    throw new Error(`Session ${session.id} was saved by a newer version of Tax GPT (session format ${version})`);
+  }
+  MIGRATIONS.slice(version).forEach(migrate => migrate(session));
+  session.version = SESSION_VERSION;
+  return session;
+}
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Check a session from outside (an import) has the shape createSession gives
+// one. Throws listing what's wrong. The id isn't checked: imports get a new one
+// when theirs is unusable.
+export function validateSession(session) {
+  const problems = [];
+  if (typeof session.name !== 'string' || !session.name.trim()) problems.push('name is missing');
+  if (!isDate(session.createdAt)) problems.push('createdAt is not a date');
+  if (!isDate(session.updatedAt)) problems.push('updatedAt is not a date');
+  if (!session.metadata || typeof session.metadata !== 'object' || Array.isArray(session.metadata)) {
+    problems.push('metadata is not an object');
+  } else if (!Array.isArray(session.metadata.tags) || !session.metadata.tags.every(tag => typeof tag === 'string')) {
+    problems.push('metadata.tags is not a list of strings');
+  }
+  if (!Array.isArray(session.messages)) {
+    problems.push('messages is not a list');
+  } else {
+    session.messages.forEach((message, i) => {
+      if (!['user', 'assistant'].includes(message?.role)) problems.push(`messages[${i}].role is not user or assistant`);
+      if (typeof message?.content !== 'string') problems.push(`messages[${i}].content is not text`);
+      if (message?.timestamp !== undefined && !isDate(message.timestamp)) problems.push(`messages[${i}].timestamp is not a date`);
+    });
+  }
+  if (problems.length > 0) {
+    const more = problems.length > 5 ? ` and ${problems.length - 5} more` : '';
+    throw new Error(`Not a valid session: ${problems.slice(0, 5).join('; ')}${more}`);
+  }
+}
+
+// A question and the answers that follow it
+function toTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) turns.push([]);
+    turns.at(-1).push(message);
+  }
+  return turns;
+}
+
+const messageKey = (message) => `${message.role}\n${message.timestamp || ''}\n${message.content}`;
+
+// Fold another transcript into session: another copy of the same conversation
+// or a different one. Messages session already has are skipped and the rest
+// slot in by timestamp a turn at a time, so answers stay with their questions.
+// Returns the number of messages added.
+export function mergeTranscripts(session, other) {
+  const seen = new Set(session.messages.map(messageKey));
+  const added = other.messages.filter(message => !seen.has(messageKey(message)));
+  if (added.length === 0) return 0;
+
+  session.messages = [...toTurns(session.messages), ...toTurns(added)]
+    .sort((a, b) => (a[0].timestamp || '').localeCompare(b[0].timestamp || ''))
+    .flat();
+  const metadata = session.metadata;
+  metadata.tags = [...new Set([...metadata.tags, ...other.metadata.tags])];
+  metadata.totalTurns = session.messages.filter(m => m.role === 'user').length;
+  // Only what the added answers cost: a copy of this session shares the rest
+  const spent = added.filter(message => message.usage);
+  if (spent.length > 0) {
+    metadata.usage = spent.reduce((total, message) => combineUsage(total, message.usage), metadata.usage || emptyUsage());
+  }
+  // The cached history summary describes the old transcript
+  delete metadata.summary;
+  if (other.createdAt < session.createdAt) session.createdAt = other.createdAt;
+  session.updatedAt = new Date().toISOString();
+  return added.length;
+}
+
+// What importSession did, for the CLI and /import
+export function describeImport(session, action) {
+  const turns = `${session.metadata.totalTurns} question${session.metadata.totalTurns === 1 ? '' : 's'}`;
+  switch (action) {
+    case 'copied': return `imported as a copy, "${session.name}" (${session.id}, ${turns}): a different session already had its id`;
+    case 'merged': return `merged into "${session.name}" (${session.id}, now ${turns})`;
+    case 'unchanged': return `already saved as "${session.name}" (${session.id})`;
+    default: return `imported "${session.name}" (${session.id}, ${turns})`;
+  }
+}
+
+// Tags as typed: "2025 return, client: Smith" -> ['2025 return', 'client: Smith']
+export function parseTags(text) {
+  return [...new Set(text.split(',').map(tag => tag.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+}
+
+// What /sessions and GET /sessions show without loading every message
+export function describeSession(session) {
+  const firstQuestion = session.messages.find(m => m.role === 'user')?.content || '';
+  return {
+    id: session.id,
+    name: session.name,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt || session.messages.at(-1)?.timestamp || session.createdAt,
+    turns: session.messages.filter(m => m.role === 'user').length,
+    model: session.metadata.model,
+    taxYear: session.metadata.taxYear ?? null,
+    tags: session.metadata.tags || [],
+    firstQuestion: firstQuestion.replace(/\s+/g, ' ').trim()
+  };
+}
+
+// Every whole term of the query, case-insensitive, in one message
+function matchesAll(text, terms) {
+  const lower = text.toLowerCase();
+  return terms.every(term => lower.includes(term));
+}
+
+// A line of context around the first match
+function matchExcerpt(text, term, width = 100) {
+  const flat = text.replace(/\s+/g, ' ');
+  const at = Math.max(0, flat.toLowerCase().indexOf(term));
+  const start = Math.max(0, at - Math.floor(width / 3));
+  const excerpt = flat.slice(start, start + width).trim();
+  return (start > 0 ? '...' : '') + excerpt + (start + width < flat.length ? '...' : '');
+}
+
+// Thrown when a --session id or name matches nothing saved
+export class SessionNotFoundError extends Error {
+  constructor(ref) {
+    super(`Session not found: ${ref}`);
+    this.name = 'SessionNotFoundError';
+  }
+}
 
 export class SessionManager {
   constructor() {
     this.currentSession = null;
     this.sessions = [];
+    this.saving = Promise.resolve();
   }
 
   async init() {
     await fs.mkdir(CONFIG_DIR, { recursive: true });
     await fs.mkdir(SESSIONS_DIR, { recursive: true });
     await this.loadSessionsList();
+    await this.migrateStoredSessions();
+  }
+
+  // Rewrite files saved by older versions at SESSION_VERSION. A file that can't
+  // be read now (encrypted and still locked, say) leaves the directory's version
+  // where it was, so it's tried again next time.
+  async migrateStoredSessions() {
+    const schemaFile = path.join(SESSIONS_DIR, SCHEMA_FILE);
+    const migrated = await fs.readFile(schemaFile, 'utf-8').then(text => JSON.parse(text).version, () => 0);
+    if (migrated >= SESSION_VERSION) return;
+
+    let complete = true;
+    for (const id of this.sessions) {
+      const file = path.join(SESSIONS_DIR, `${id}.json`);
+      try {
+        const session = await readJsonFile(file);
+        if ((session.version ?? 0) < SESSION_VERSION) await writeJsonFile(file, migrateSession(session));
+      } catch {
+        complete = false;
+      }
+    }
+    if (complete) await fs.writeFile(schemaFile, JSON.stringify({ version: SESSION_VERSION }) + '\n');
   }
 
   async loadSessionsList() {
@@ -27,42 +216,161 @@ export class SessionManager {
   }
 
   async createSession(name = null) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const sessionName = name || `session-${timestamp}`;
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
     
     this.currentSession = {
-      id: sessionName,
-      name: sessionName,
-      createdAt: new Date().toISOString(),
+      id: newSessionId(now),
+      version: SESSION_VERSION,
+      name: name?.trim() || `session-${timestamp}`,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
       messages: [],
-      metadata: { model: MODEL, totalTurns: 0 }
+      metadata: { model: MODEL, totalTurns: 0, tags: [] }
     };
     
     await this.saveSession();
     return this.currentSession;
   }
 
-  async loadSession(sessionId) {
+  async readSession(sessionId) {
+    if (!SESSION_ID.test(sessionId)) return null;
     try {
-      const data = await fs.readFile(path.join(SESSIONS_DIR, `${sessionId}.json`), 'utf-8');
-      this.currentSession = JSON.parse(data);
-      return this.currentSession;
+      return migrateSession(await readJsonFile(path.join(SESSIONS_DIR, `${sessionId}.json`)));
     } catch {
       return null;
     }
   }
 
+  async loadSession(sessionId) {
+    const session = await this.readSession(sessionId);
+    if (session) this.currentSession = session;
+    return session;
+  }
+
+  // Saves run one after another, so two can't write the same file at once
   async saveSession() {
     if (!this.currentSession) return;
-    await fs.writeFile(
-      path.join(SESSIONS_DIR, `${this.currentSession.id}.json`),
-      JSON.stringify(this.currentSession, null, 2)
-    );
+    const session = this.currentSession;
+    const saved = this.saving.then(() => writeJsonFile(path.join(SESSIONS_DIR, `${session.id}.json`), session));
+    this.saving = saved.catch(() => {});
+    await saved;
   }
 
-  async deleteSession(sessionId) {
+  // Every saved session, described, most recently updated first
+  async listSessions() {
+    await this.loadSessionsList();
+    const described = [];
+    for (const id of this.sessions) {
+      const session = id === this.currentSession?.id ? this.currentSession : await this.readSession(id);
+      if (session) described.push(describeSession(session));
+    }
+    return described.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // A session id from an id or a name. Names can repeat, so an ambiguous name throws.
+  async resolveSession(ref) {
+    await this.loadSessionsList();
+    if (this.sessions.includes(ref)) return ref;
+    const named = (await this.listSessions()).filter(s => s.name.toLowerCase() === ref.trim().toLowerCase());
+    if (named.length > 1) {
+      throw new Error(`${named.length} sessions are named "${ref}"; use the id (${named.map(s => s.id).join(', ')})`);
+    }
+    return named[0]?.id ?? null;
+  }
+
+  async renameSession(name) {
+    if (!this.currentSession) return;
+    this.currentSession.name = name.trim();
+    this.touch();
+    await this.saveSession();
+  }
+
+  async tagSession(tags) {
+    if (!this.currentSession) return;
+    const metadata = this.currentSession.metadata;
+    metadata.tags = [...new Set([...(metadata.tags || []), ...tags])];
+    this.touch();
+    await this.saveSession();
+  }
+
+  async untagSession(tags) {
+    if (!this.currentSession) return;
+    const metadata = this.currentSession.metadata;
+    const removing = new Set(tags.map(tag => tag.toLowerCase()));
+    metadata.tags = (metadata.tags || []).filter(tag => !removing.has(tag.toLowerCase()));
+    this.touch();
+    await this.saveSession();
+  }
+
+  // Full-text search of every saved conversation: messages containing all the
+  // words of the query, grouped by session, most recently updated first
+  async findInSessions(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+    await this.loadSessionsList();
+
+    const found = [];
+    for (const id of this.sessions) {
+      const session = id === this.currentSession?.id ? this.currentSession : await this.readSession(id);
+      if (!session) continue;
+      const matches = session.messages
+        .map((message, index) => ({ message, index }))
+        .filter(({ message }) => matchesAll(message.content, terms))
+        .map(({ message, index }) => ({ index, role: message.role, timestamp: message.timestamp, excerpt: matchExcerpt(message.content, terms[0]) }));
+      const tagged = (session.metadata.tags || []).some(tag => matchesAll(tag, terms));
+      if (matches.length > 0 || tagged || matchesAll(session.name, terms)) {
+        found.push({ session: describeSession(session), matches });
+      }
+    }
+    return found.sort((a, b) => b.session.updatedAt.localeCompare(a.session.updatedAt));
+  }
+
+  // Save a session from an export or another machine. Its id is kept unless a
+  // saved session already has it: then it's stored as a copy under a new id, or
+  // with onCollision 'merge' its transcript is merged into the saved one.
+  // Returns { session, action } where action is 'imported', 'copied', 'merged'
+  // or 'unchanged' (everything in it was already saved).
+  async importSession(data, { onCollision = 'copy' } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a valid session: expected a JSON object');
+    const session = migrateSession(structuredClone(data));
+    validateSession(session);
+    session.metadata.totalTurns = session.messages.filter(m => m.role === 'user').length;
+    await this.loadSessionsList();
+
+    const usableId = typeof session.id === 'string' && SESSION_ID.test(session.id);
+    const existing = !usableId ? null
+      : session.id === this.currentSession?.id ? this.currentSession
+      : this.sessions.includes(session.id) ? await this.readSession(session.id)
+      : null;
+
+    let action = 'imported';
+    let saving = session;
+    if (!usableId) {
+      session.id = newSessionId();
+    } else if (existing && onCollision === 'merge') {
+      if (mergeTranscripts(existing, session) === 0) return { session: existing, action: 'unchanged' };
+      action = 'merged';
+      saving = existing;
+    } else if (existing) {
+      const same = existing.messages.length === session.messages.length &&
+        existing.messages.every((message, i) => messageKey(message) === messageKey(session.messages[i]));
+      if (same) return { session: existing, action: 'unchanged' };
+      session.id = newSessionId();
+      action = 'copied';
+    }
+
+    await writeJsonFile(path.join(SESSIONS_DIR, `${saving.id}.json`), saving);
+    await this.loadSessionsList();
+    return { session: saving, action };
+  }
+
+  // secure overwrites the file's bytes before removing it
+  async deleteSession(sessionId, { secure = false } = {}) {
+    if (!SESSION_ID.test(sessionId)) return false;
     try {
-      await fs.unlink(path.join(SESSIONS_DIR, `${sessionId}.json`));
+      const file = path.join(SESSIONS_DIR, `${sessionId}.json`);
+      await (secure ? secureDelete(file) : fs.unlink(file));
       await this.loadSessionsList();
       return true;
     } catch {
@@ -70,14 +378,17 @@ export class SessionManager {
     }
   }
 
-  addMessage(role, content) {
+  // Opening a session saves it too, so updatedAt only moves when something changed
+  touch() {
+    if (this.currentSession) this.currentSession.updatedAt = new Date().toISOString();
+  }
+
+  async addMessage(role, content, extra = {}) {
     if (!this.currentSession) return;
-    this.currentSession.messages.push({ role, content, timestamp: new Date().toISOString() });
+    this.currentSession.messages.push({ role, content, ...extra, timestamp: new Date().toISOString() });
+    this.touch();
     this.currentSession.metadata.totalTurns = this.currentSession.messages.filter(m => m.role === 'user').length;
-    if (this.currentSession.messages.length > MAX_HISTORY_TURNS * 2) {
-      this.currentSession.messages = this.currentSession.messages.slice(-MAX_HISTORY_TURNS * 2);
-    }
-    this.saveSession();
+    await this.saveSession();
   }
 
   getRecentMessages(count = 5) {
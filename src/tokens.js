@@ -0,0 +1,72 @@
+// Rough token count for budgeting: about four characters per token for English
+// prose. Close enough to keep prompts inside a budget without a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Chat formatting adds a few tokens around every message
+export function messageTokens(message) {
+  return estimateTokens(message.content) + 4;
+}
+
+// Context windows in tokens, matched in order as prefixes of the model's name,
+// so more specific names come before the families they belong to
+export const CONTEXT_WINDOWS = [
+  ['gemini', 1048576],
+  ['claude', 200000],
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['chatgpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-3.5', 16385],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['o4', 200000],
+  ['deepseek', 128000],
+  ['llama-3.1', 131072],
+  ['llama-3.2', 131072],
+  ['llama-3.3', 131072],
+  ['llama3.1', 131072],
+  ['llama3.2', 131072],
+  ['llama3.3', 131072],
+  ['llama3', 8192],
+  ['mixtral', 32768],
+  ['mistral', 32768],
+  ['qwen', 32768],
+  ['phi3', 4096],
+  ['gemma', 8192]
+];
+
+// Assumed for models not listed: small enough to be safe on most local servers
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// The name without a vendor ("openai/o3-mini") or a local tag ("llama3.3:70b")
+function modelName(model) {
+  return model.toLowerCase().split('/').pop().split(':')[0];
+}
+
+export function contextWindow(model, override = null) {
+  if (override) return override;
+  const name = modelName(model);
+  return CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix))?.[1] ?? DEFAULT_CONTEXT_WINDOW;
+}
+
+// Tokens held back for the answer: the configured maximum, but never more than
+// a quarter of the window so small models still get room for excerpts
+export function responseReserve(window, maxResponseTokens) {
+  return Math.min(maxResponseTokens, Math.floor(window / 4));
+}
+
+// The leading items that fit in available tokens. Items are ranked best first,
+// so the lowest-ranked ones are dropped whole rather than cut mid-text.
+export function fitRanked(items, available, cost) {
+  const kept = [];
+  let used = 0;
+  for (const item of items) {
+    const tokens = cost(item);
+    if (used + tokens > available) break;
+    kept.push(item);
+    used += tokens;
+  }
+  return { kept, dropped: items.slice(kept.length), used };
+}
@@ -0,0 +1,187 @@
+import { FILING_STATUSES, calculateTax, standardDeduction, creditPhaseout, TAX_DATA } from './calculator.js';
+
+// Rounds of tool calls allowed per answer before the model must reply in text
+export const MAX_TOOL_ROUNDS = 5;
+
+const filingStatus = {
+  type: 'string',
+  enum: Object.keys(FILING_STATUSES),
+  description: 'single, mfj (married filing jointly), mfs (married filing separately), hoh (head of household) or qss (qualifying surviving spouse)'
+};
+
+const taxpayerBoxes = {
+  age_65: { type: 'boolean', description: 'Taxpayer was 65 or older at the end of the year' },
+  blind: { type: 'boolean', description: 'Taxpayer is blind' },
+  spouse_age_65: { type: 'boolean', description: 'Spouse was 65 or older (joint returns, or separate ones with spouse_no_income)' },
+  spouse_blind: { type: 'boolean', description: 'Spouse is blind (joint returns, or separate ones with spouse_no_income)' },
+  spouse_no_income: { type: 'boolean', description: 'Married filing separately: the spouse had no income, files no return and can\'t be claimed as a dependent' },
+  dependent: { type: 'boolean', description: 'Someone else can claim the taxpayer as a dependent' }
+};
+
+// OpenAI-compatible function definitions sent with every completion request
+export const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'compute_tax',
+      description: 'Compute taxable income, regular income tax, and marginal and effective rates from the official tax tables. Use this for any tax amount instead of doing bracket math yourself.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filing_status: filingStatus,
+          income: { type: 'number', description: 'Total income in dollars' },
+          adjustments: { type: 'number', description: 'Adjustments to income (IRA, HSA, student loan interest...)' },
+          itemized_deductions: { type: 'number', description: 'Total itemized deductions; the larger of this and the standard deduction is used' },
+          qualified_income: { type: 'number', description: 'Qualified dividends and net long-term capital gains included in income' },
+          ...taxpayerBoxes
+        },
+        required: ['filing_status', 'income']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'standard_deduction',
+      description: 'Look up the standard deduction, including additional amounts for age 65+ or blindness and the limit for dependents.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filing_status: filingStatus,
+          ...taxpayerBoxes,
+          earned_income: { type: 'number', description: 'Earned income, only needed for dependents' }
+        },
+        required: ['filing_status']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'credit_phaseout',
+      description: 'Compute a credit after the modified AGI phase-out. Use credit for the child tax credit or credit for other dependents, or give max_credit/threshold/reduction/step for another credit.',
+      parameters: {
+        type: 'object',
+        properties: {
+          credit: { type: 'string', enum: Object.keys(TAX_DATA[2025].credits) },
+          count: { type: 'integer', description: 'Number of qualifying children or dependents' },
+          modified_agi: { type: 'number' },
+          filing_status: filingStatus,
+          max_credit: { type: 'number' },
+          threshold: { type: 'number', description: 'Modified AGI where the phase-out starts' },
+          reduction: { type: 'number', description: 'Dollars of credit lost per step' },
+          step: { type: 'number', description: 'Dollars of income per step' }
+        },
+        required: ['modified_agi', 'filing_status']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_knowledge_base',
+      description: 'Search the loaded IRS publications for passages not already in the context. New passages are numbered so they can be cited.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          limit: { type: 'integer', description: 'Number of passages, 1-5' }
+        },
+        required: ['query']
+      }
+    }
+  }
+];
+
+// The model speaks snake_case, the calculator camelCase
+function taxpayerArgs(args) {
+  return {
+    filingStatus: args.filing_status,
+    age65: Boolean(args.age_65),
+    blind: Boolean(args.blind),
+    spouseAge65: Boolean(args.spouse_age_65),
+    spouseBlind: Boolean(args.spouse_blind),
+    spouseNoIncome: Boolean(args.spouse_no_income),
+    dependent: Boolean(args.dependent)
+  };
+}
+
+// Run one tool call. app supplies the active tax year and knowledge base search.
+// Errors are returned to the model as { error } so it can correct its arguments.
+export async function runTool(app, name, rawArgs) {
+  let args;
+  try {
+    args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : rawArgs;
+  } catch {
+    return { error: `Arguments are not valid JSON: ${rawArgs}` };
+  }
+
+  const year = app.getTaxYear();
+  try {
+    switch (name) {
+      case 'compute_tax':
+        return calculateTax({
+          ...taxpayerArgs(args),
+          income: args.income,
+          adjustments: args.adjustments || 0,
+          itemizedDeductions: args.itemized_deductions || 0,
+          qualifiedIncome: args.qualified_income || 0,
+          year
+        });
+
+      case 'standard_deduction':
+        return { year, ...standardDeduction({ ...taxpayerArgs(args), earnedIncome: args.earned_income || 0, year }) };
+
+      case 'credit_phaseout':
+        return creditPhaseout({
+          credit: args.credit || null,
+          count: args.count ?? 1,
+          modifiedAgi: args.modified_agi,
+          filingStatus: args.filing_status,
+          maxCredit: args.max_credit ?? null,
+          threshold: args.threshold ?? null,
+          reduction: args.reduction ?? null,
+          step: args.step ?? null,
+          year
+        });
+
+      case 'search_knowledge_base': {
+        const limit = Math.min(Math.max(Number(args.limit) || 3, 1), 5);
+        const sources = app.addSources(app.findRelevantChunks(args.query, limit));
+        return {
+          results: sources.map(source => ({
+            cite: `[${source.n}]`,
+            location: source.location,
+            text: source.text
+          }))
+        };
+      }
+
+      default:
+        return { error: `Unknown tool: ${name}` };
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+const money = (amount) => '$' + Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+// One-line summary of a tool result for the terminal
+export function summarizeToolResult(name, result) {
+  if (result.error) return `error: ${result.error}`;
+  switch (name) {
+    case 'compute_tax':
+      return `taxable income ${money(result.taxableIncome)} · tax ${money(result.tax)} · ${Math.round(result.marginalRate * 100)}% bracket`;
+    case 'standard_deduction':
+      return `standard deduction ${money(result.total)}`;
+    case 'credit_phaseout':
+      return `${result.name.toLowerCase()} ${money(result.credit)} (reduced by ${money(result.reducedBy)})`;
+    case 'search_knowledge_base':
+      return result.results.length > 0
+        ? result.results.map(r => `${r.cite} ${r.location}`).join('; ')
+        : 'no passages found';
+    default:
+      return JSON.stringify(result);
+  }
+}
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PRICES_PATH, USAGE_LOG } from './config.js';
+
+// US dollars per million tokens. Override or extend with PRICES_PATH, a JSON
+// object of the same shape keyed by model id.
+export const DEFAULT_PRICES = {
+  'google/gemini-3-flash-preview': { prompt: 0.5, completion: 3 },
+  'google/gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+  'google/gemini-2.5-pro': { prompt: 1.25, completion: 10 },
+  'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4.1': { prompt: 2, completion: 8 },
+  'openai/gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'anthropic/claude-sonnet-4': { prompt: 3, completion: 15 },
+  'anthropic/claude-3.5-haiku': { prompt: 0.8, completion: 4 }
+};
+
+export const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 });
+
+// Who ran up the tokens: TAX_GPT_USER, else the login name
+export function usageUser() {
+  if (process.env.TAX_GPT_USER) return process.env.TAX_GPT_USER;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Costs are only reported, so a broken prices file is warned about (once) and the defaults used
+const priceWarnings = new Set();
+
+export async function loadPrices(file = PRICES_PATH) {
+  try {
+    const custom = JSON.parse(await fs.readFile(file, 'utf-8'));
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) throw new Error('expected an object keyed by model id');
+    return { ...DEFAULT_PRICES, ...custom };
+  } catch (error) {
+    const warning = `Ignoring prices in ${file}: ${error.message}`;
+    if (error.code !== 'ENOENT' && !priceWarnings.has(warning)) {
+      priceWarnings.add(warning);
+      console.error(warning);
+    }
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+// Dollars for one answer's usage, or null when the model has no price
+export function usageCost(usage, model, prices) {
+  const price = prices[model];
+  if (!price) return null;
+  return (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1e6;
+}
+
+// Add one answer's usage (or another total) into a running total. Answers from
+// models without a price add tokens but no cost, and are counted as unpriced.
+export function combineUsage(total, usage) {
+  const priced = typeof usage.cost === 'number';
+  return {
+    promptTokens: total.promptTokens + (usage.promptTokens || 0),
+    completionTokens: total.completionTokens + (usage.completionTokens || 0),
+    totalTokens: total.totalTokens + (usage.totalTokens || 0),
+    cost: total.cost + (priced ? usage.cost : 0),
+    unpriced: (total.unpriced || 0) + (usage.unpriced ?? (priced ? 0 : 1))
+  };
+}
+
+// One JSON line per answer, kept apart from the sessions so totals survive
+// /clear and /delete. Point USAGE_LOG at a shared path to pool a team's usage.
+export async function appendUsageLog(entry, file = USAGE_LOG) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify(entry) + '\n');
+}
+
+export async function readUsageLog(file = USAGE_LOG) {
+  let data;
+  try {
+    data = await fs.readFile(file, 'utf-8');
+  } catch {
+    return [];
+  }
+  return data
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+// { key -> { answers, ...usage } } for entries grouped by entry[field]
+export function groupUsage(entries, field) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = entry[field] || 'unknown';
+    const group = groups.get(key) || { answers: 0, ...emptyUsage() };
+    groups.set(key, { answers: group.answers + 1, ...combineUsage(group, entry) });
+  }
+  return groups;
+}
+
+// "$0.0123", or "$1.50 + 2 unpriced" when some answers had no price
+export function formatCost({ cost, unpriced = 0 }) {
+  const dollars = cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  return unpriced > 0 ? `${dollars} + ${unpriced} unpriced` : dollars;
+}
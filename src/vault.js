@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { CONFIG_DIR, SESSIONS_DIR, PROFILE_PATH, VAULT_PATH } from './config.js';
+
+// Optional encryption at rest for sessions and the profile. A key is derived
+// from a passphrase with scrypt and files are sealed with AES-256-GCM, so a
+// wrong passphrase or a tampered file fails to open instead of reading as junk.
+// The salt and a sealed check value live in vault.json; the passphrase and the
+// key are never written anywhere. Without vault.json files stay plain JSON.
+
+const scrypt = promisify(crypto.scrypt);
+
+const CIPHER = 'aes-256-gcm';
+// scrypt cost: about 64 MB and a fraction of a second per unlock
+const KDF = { N: 2 ** 16, r: 8, p: 1 };
+const CHECK = 'tax-gpt';
+
+let key = null;
+
+async function deriveKey(passphrase, { salt, N, r, p }) {
+  return scrypt(passphrase.normalize('NFC'), Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+function seal(text, withKey = key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, withKey, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+  return {
+    encrypted: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function open(envelope, withKey = key) {
+  const decipher = crypto.createDecipheriv(CIPHER, withKey, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf-8');
+}
+
+const isSealed = (value) => value?.encrypted === CIPHER && typeof value.data === 'string';
+
+export async function isVaultEnabled() {
+  try {
+    await fs.access(VAULT_PATH);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const isVaultUnlocked = () => key !== null;
+
+// Set up encryption with a new passphrase. Files already saved stay as they
+// are until encryptStoredFiles seals them.
+export async function createVault(passphrase) {
+  if (await isVaultEnabled()) throw new Error(`Encryption is already set up (${VAULT_PATH})`);
+  const params = { salt: crypto.randomBytes(16).toString('base64'), ...KDF };
+  const newKey = await deriveKey(passphrase, params);
+  await fs.mkdir(CONFIG_DIR, { recursive: true });
+  await fs.writeFile(VAULT_PATH, JSON.stringify({ version: 1, kdf: 'scrypt', ...params, check: seal(CHECK, newKey) }, null, 2), { mode: 0o600 });
+  key = newKey;
+}
+
+export async function unlockVault(passphrase) {
+  const vault = JSON.parse(await fs.readFile(VAULT_PATH, 'utf-8'));
+  const candidate = await deriveKey(passphrase, vault);
+  try {
+    if (open(vault.check, candidate) !== CHECK) throw new Error();
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  key = candidate;
+}
+
+// Turn encryption off again: the caller decrypts the files first
+export async function removeVault() {
+  await fs.rm(VAULT_PATH, { force: true });
+  key = null;
+}
+
+// Read a JSON file whether it's sealed or plain. Sealed files need the vault
+// unlocked; a missing file rejects with ENOENT as fs.readFile does.
+export async function readJsonFile(file) {
+  const value = JSON.parse(await fs.readFile(file, 'utf-8'));
+  if (!isSealed(value)) return value;
+  if (!key) throw new Error(`${file} is encrypted and the passphrase hasn't been entered`);
+  try {
+    return JSON.parse(open(value));
+  } catch {
+    throw new Error(`${file} could not be decrypted: it was sealed with another passphrase or has been modified`);
+  }
+}
+
+// Write by way of a new temporary file renamed into place, so a crash or a
+// second writer leaves one whole version. The temporary file is created
+// owner-only and the rename carries that over to a file that already existed.
+async function writeAtomically(file, text, beforeRename = null) {
+  const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(temporary, text, { mode: 0o600 });
+    if (beforeRename) await beforeRename();
+    await fs.rename(temporary, file);
+  } catch (error) {
+    await fs.rm(temporary, { force: true });
+    throw error;
+  }
+}
+
+const serialize = (value) => {
+  const text = JSON.stringify(value, null, 2);
+  return key ? JSON.stringify(seal(text)) : text;
+};
+
+// Write JSON, sealed whenever the vault is unlocked. Only the owner can read it.
+export async function writeJsonFile(file, value) {
+  await writeAtomically(file, serialize(value));
+}
+
+// Write text as is, never sealed, but as private as a session file
+export async function writePrivateFile(file, text) {
+  await writeAtomically(file, text);
+}
+
+export async function isSealedFile(file) {
+  try {
+    return isSealed(JSON.parse(await fs.readFile(file, 'utf-8')));
+  } catch {
+    return false;
+  }
+}
+
+// Overwrite a file's bytes with random data before it's removed. On SSDs and
+// copy-on-write or journaling filesystems the old blocks may survive anyway,
+// which is what encryption is for; this covers the plain disks and the rest.
+export async function overwriteFile(file) {
+  const handle = await fs.open(file, 'r+');
+  try {
+    const { size } = await handle.stat();
+    const block = 64 * 1024;
+    for (let offset = 0; offset < size; offset += block) {
+      await handle.write(crypto.randomBytes(Math.min(block, size - offset)), 0, Math.min(block, size - offset), offset);
+    }
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+export async function secureDelete(file) {
+  await overwriteFile(file);
+  await fs.unlink(file);
+}
+
+// Every file the vault covers: saved sessions and the profile
+async function storedFiles() {
+  let sessions = [];
+  try {
+    sessions = (await fs.readdir(SESSIONS_DIR))
+      .filter(f => f.endsWith('.json'))
+      .map(f => path.join(SESSIONS_DIR, f));
+  } catch {
+    // No sessions yet
+  }
+  try {
+    await fs.access(PROFILE_PATH);
+    return [...sessions, PROFILE_PATH];
+  } catch {
+    return sessions;
+  }
+}
+
+// Rewrite a stored file, optionally overwriting the old bytes before the new
+// version takes their place
+async function replaceFile(file, value, { overwrite = false } = {}) {
+  await writeAtomically(file, serialize(value), overwrite ? () => overwriteFile(file) : null);
+}
+
+// Seal every plain session and the profile with the unlocked vault. The plain
+// bytes are overwritten before the sealed copy takes their place.
+export async function encryptStoredFiles() {
+  if (!key) throw new Error('Unlock the vault first');
+  let count = 0;
+  for (const file of await storedFiles()) {
+    if (await isSealedFile(file)) continue;
+    await replaceFile(file, await readJsonFile(file), { overwrite: true });
+    count++;
+  }
+  return count;
+}
+
+// Back to plain JSON, for turning encryption off
+export async function decryptStoredFiles() {
+  if (!key) throw new Error('Unlock the vault first');
+  const sealedKey = key;
+  let count = 0;
+  for (const file of await storedFiles()) {
+    if (!await isSealedFile(file)) continue;
+    const value = await readJsonFile(file);
+    key = null;
+    try {
+      await replaceFile(file, value);
+    } finally {
+      key = sealedKey;
+    }
+    count++;
+  }
+  return count;
+}
@@ -1,16 +1,13 @@
 #!/usr/bin/env node
 
-import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import gradient from 'gradient-string';
 import dotenv from 'dotenv';
+import { loadManifest, loadSources } from './src/knowledge.js';
 
 dotenv.config();
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
 const C = {
   label: chalk.hex('#007AFF'),
   value: chalk.hex('#FFFFFF'),
@@ -19,9 +16,8 @@ const C = {
 };
 
 const stats = async () => {
-  const kb = await fs.readFile(path.join(__dirname, 'knowledge-base', 'tax-knowledge-base.txt'), 'utf-8');
-  const lines = kb.split('\n');
-  const words = kb.split(/\s+/);
+  const manifest = await loadManifest();
+  const { loaded, skipped } = await loadSources(manifest);
   
   console.log('\n');
   console.log(gradient(['#007AFF', '#00C7BE'])(
@@ -41,12 +37,26 @@ const stats = async () => {
   ));
   console.log('');
   
-  console.log(`  ${C.dot} ${C.label('Source:')}      IRS Publication 17 (2025)`);
-  console.log(`  ${C.dot} ${C.label('Title:')}       "Your Federal Income Tax For Individuals"`);
-  console.log(`  ${C.dot} ${C.label('Characters:')}  ${kb.length.toLocaleString()}`);
-  console.log(`  ${C.dot} ${C.label('Lines:')}       ${lines.length.toLocaleString()}`);
-  console.log(`  ${C.dot} ${C.label('Words:')}       ${words.length.toLocaleString()}`);
-  console.log(`  ${C.dot} ${C.label('Pages:')}       ~142 pages`);
+  for (const source of loaded) {
+    const pages = source.text.match(/^Page \d+ of (\d+)\b/m)?.[1];
+    console.log(`  ${C.dot} ${C.label('Source:')}      ${source.title} (${source.taxYear})`);
+    if (source.description) {
+      console.log(`  ${C.dot} ${C.label('Title:')}       "${source.description}"`);
+    }
+    console.log(`  ${C.dot} ${C.label('File:')}        ${path.basename(source.path)}  ${C.dim(source.jurisdiction)}`);
+    console.log(`  ${C.dot} ${C.label('Characters:')}  ${source.text.length.toLocaleString()}`);
+    console.log(`  ${C.dot} ${C.label('Lines:')}       ${source.text.split('\n').length.toLocaleString()}`);
+    console.log(`  ${C.dot} ${C.label('Words:')}       ${source.text.split(/\s+/).length.toLocaleString()}`);
+    if (pages) {
+      console.log(`  ${C.dot} ${C.label('Pages:')}       ${pages} pages`);
+    }
+    console.log('');
+  }
+  for (const source of skipped) {
+    console.log(C.dim(`  ${C.dot} Skipped ${source.title} (${source.taxYear}): ${path.basename(source.path)} not found`));
+  }
+  if (skipped.length > 0) console.log('');
+  
   const model = process.env.MODEL || 'google/gemini-3-flash-preview';
   console.log(`  ${C.dot} ${C.label('Model:')}        ${model}`);
   console.log('');
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTax, incomeTax, scheduleTax, standardDeduction } from '../src/calculator.js';
+
+// Rows of the 2025 Tax Table (Pub 17, pp. 111-122): [at least, less than, single, mfj, mfs, hoh].
+// Picked around the bracket edges, where rounding to the row midpoint matters most.
+const TAX_TABLE_ROWS = [
+  [0, 5, 0, 0, 0, 0],
+  [25, 50, 4, 4, 4, 4],
+  [3000, 3050, 303, 303, 303, 303],
+  [11900, 11950, 1193, 1193, 1193, 1193],
+  [11950, 12000, 1199, 1198, 1199, 1198],
+  [16950, 17000, 1799, 1698, 1799, 1698],
+  [17000, 17050, 1805, 1703, 1805, 1703],
+  [23800, 23850, 2621, 2383, 2621, 2519],
+  [23850, 23900, 2627, 2388, 2627, 2525],
+  [48450, 48500, 5579, 5340, 5579, 5477],
+  [48500, 48550, 5590, 5346, 5590, 5483],
+  [64800, 64850, 9176, 7302, 9176, 7439],
+  [64850, 64900, 9187, 7308, 9187, 7448],
+  [96900, 96950, 16238, 11154, 16238, 14499],
+  [96950, 97000, 16249, 11163, 16249, 14510],
+  [99950, 100000, 16909, 11823, 16909, 15170]
+];
+
+const STATUSES = ['single', 'mfj', 'mfs', 'hoh'];
+
+test('incomeTax matches the published Tax Table rows for every filing status', () => {
+  for (const [atLeast, lessThan, ...taxes] of TAX_TABLE_ROWS) {
+    STATUSES.forEach((status, i) => {
+      for (const income of [atLeast, lessThan - 0.01]) {
+        if (income <= 0) continue;
+        assert.equal(incomeTax(income, status), taxes[i], `${status} at ${income}`);
+      }
+    });
+  }
+});
+
+test('qualifying surviving spouse uses the married filing jointly column', () => {
+  for (const [atLeast, , , mfj] of TAX_TABLE_ROWS) {
+    if (atLeast > 0) assert.equal(incomeTax(atLeast, 'qss'), mfj);
+  }
+});
+
+// Tax Computation Worksheet (Pub 17, p. 123): income × rate − subtraction amount
+test('from $100,000 the Tax Computation Worksheet replaces the table', () => {
+  const worksheet = [
+    ['single', 100000, 0.22, 5086],
+    ['single', 150000, 0.24, 7153],
+    ['mfj', 100000, 0.22, 10172],
+    ['mfj', 300000, 0.24, 14306],
+    ['mfs', 400000, 0.37, 37968.75],
+    ['hoh', 100000, 0.22, 6825],
+    ['hoh', 260000, 0.35, 32191]
+  ];
+  for (const [status, income, rate, subtract] of worksheet) {
+    assert.equal(incomeTax(income, status), Math.round((income * rate - subtract) * 100) / 100, `${status} at ${income}`);
+  }
+  assert.equal(incomeTax(99999, 'single'), 16909);
+  assert.equal(incomeTax(100000, 'single'), scheduleTax(100000, 'single'));
+});
+
+test('calculateTax takes the standard deduction off AGI before looking up the table', () => {
+  const result = calculateTax({ filingStatus: 'single', income: 64600 });
+  assert.equal(result.deductionType, 'standard');
+  assert.equal(result.taxableIncome, 48850);
+  assert.equal(result.tax, 5667);
+
+  const joint = calculateTax({ filingStatus: 'mfj', income: 128450, adjustments: 1000 });
+  assert.equal(joint.taxableIncome, 95950);
+  assert.equal(joint.tax, 11040);
+});
+
+test('calculateTax itemizes only when it beats the standard deduction', () => {
+  assert.equal(calculateTax({ filingStatus: 'single', income: 80000, itemizedDeductions: 15000 }).deductionType, 'standard');
+  const itemized = calculateTax({ filingStatus: 'single', income: 80000, itemizedDeductions: 20000 });
+  assert.equal(itemized.deductionType, 'itemized');
+  assert.equal(itemized.taxableIncome, 60000);
+});
+
+// Table 10-2 (Pub 17, chapter 10)
+test('spouse age and blindness boxes count on joint returns only', () => {
+  assert.equal(standardDeduction({ filingStatus: 'mfj', age65: true, spouseAge65: true, spouseBlind: true }).total, 36300);
+  assert.equal(standardDeduction({ filingStatus: 'mfj', age65: true, blind: true, spouseAge65: true, spouseBlind: true }).total, 37900);
+  assert.equal(standardDeduction({ filingStatus: 'single', spouseAge65: true, spouseBlind: true }).total, 15750);
+  assert.equal(standardDeduction({ filingStatus: 'hoh', age65: true, spouseAge65: true }).total, 25625);
+});
+
+test('a qualifying surviving spouse has only their own two boxes', () => {
+  assert.equal(standardDeduction({ filingStatus: 'qss', age65: true }).total, 33100);
+  assert.equal(standardDeduction({ filingStatus: 'qss', age65: true, blind: true, spouseAge65: true, spouseBlind: true }).total, 34700);
+});
+
+test('married filing separately counts spouse boxes only when the spouse has no income', () => {
+  assert.equal(standardDeduction({ filingStatus: 'mfs', age65: true, spouseAge65: true, spouseBlind: true }).total, 17350);
+  assert.equal(standardDeduction({ filingStatus: 'mfs', age65: true, spouseAge65: true, spouseBlind: true, spouseNoIncome: true }).total, 20550);
+  assert.equal(standardDeduction({ filingStatus: 'mfs', age65: true, blind: true, spouseAge65: true, spouseBlind: true, spouseNoIncome: true }).total, 22150);
+  assert.equal(calculateTax({ filingStatus: 'mfs', income: 50000, spouseAge65: true, spouseNoIncome: true }).standardDeduction, 17350);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readDocumentFile, parseDocument, formatAmount, documentTotals } from '../src/documents.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'documents');
+
+const read = (name) => readDocumentFile(path.join(FIXTURES, name));
+const boxes = (document) => Object.fromEntries(document.boxes.map(box => [box.box, box.amount]));
+
+test('W-2 copied from a PDF, labels side by side with values on the line below', async () => {
+  const [w2] = await read('w2-side-by-side.txt');
+  assert.equal(w2.form, 'W-2');
+  assert.equal(w2.taxYear, 2025);
+  assert.equal(w2.payer, 'Acme Widgets Inc');
+  assert.deepEqual(boxes(w2), {
+    1: 85000, 2: 9512.4, 3: 87500, 4: 5425, 5: 87500, 6: 1268.75, 16: 85000, 17: 4207.5
+  });
+});
+
+test('W-2 CSV with a row per box', async () => {
+  const [w2] = await read('w2.csv');
+  assert.equal(w2.form, 'W-2');
+  assert.equal(w2.taxYear, 2025);
+  assert.deepEqual(boxes(w2), { 1: 85000, 2: 9512.4, 3: 87500, 4: 5425, 5: 87500, 6: 1268.75 });
+});
+
+test('1099-INT text with "Box N" labels', async () => {
+  const [form] = await read('1099-int.txt');
+  assert.equal(form.form, '1099-INT');
+  assert.equal(form.payer, 'First National Bank');
+  assert.deepEqual(boxes(form), { 1: 1234.56, 3: 0, 4: 0 });
+});
+
+test('wide 1099-INT CSV gives a form per account, with accounting negatives', async () => {
+  const forms = await read('1099-int-accounts.csv');
+  assert.equal(forms.length, 2);
+  assert.ok(forms.every(form => form.form === '1099-INT' && form.taxYear === 2025 && form.payer === 'First National Bank'));
+  assert.deepEqual(boxes(forms[0]), { 1: 1234.56, 2: 0, 4: 0 });
+  assert.deepEqual(boxes(forms[1]), { 1: 310, 2: -25, 4: 0 });
+});
+
+test('1099-DIV text', async () => {
+  const [form] = await read('1099-div.txt');
+  assert.equal(form.form, '1099-DIV');
+  assert.equal(form.taxYear, 2025);
+  assert.equal(form.payer, 'Big Brokerage');
+  assert.deepEqual(boxes(form), { '1a': 2345.67, '1b': 1800, '2a': 512.1, 4: 0, 7: -14.2 });
+});
+
+test('wide 1099-DIV CSV with quoted amounts', async () => {
+  const forms = await read('1099-div-accounts.csv');
+  assert.deepEqual(forms.map(boxes), [
+    { '1a': 2345.67, '1b': 1800, '2a': 512.1, 4: 0 },
+    { '1a': 410, '1b': 410, '2a': 0, 4: 0 }
+  ]);
+  assert.deepEqual(documentTotals(forms), { income: 3267.77, qualifiedIncome: 2722.1, withholding: 0, mortgageInterest: 0 });
+});
+
+test('1098 text takes the tax year, not the revision date', async () => {
+  const [form] = await read('1098.txt');
+  assert.equal(form.form, '1098');
+  assert.equal(form.taxYear, 2025);
+  assert.equal(form.payer, 'Home Loans LLC');
+  assert.deepEqual(boxes(form), { 1: 11870.22, 2: 312400, 5: 0, 6: 0, 10: 4120 });
+});
+
+test('1098 CSV', async () => {
+  const [form] = await read('1098.csv');
+  assert.equal(form.form, '1098');
+  assert.equal(form.payer, 'Home Loans LLC');
+  assert.deepEqual(boxes(form), { 1: 11870.22, 2: 312400, 5: 0, 10: 4120 });
+});
+
+test('text that is no supported form is rejected', () => {
+  assert.throws(() => parseDocument('hello world\nnothing here', { file: 'notes.txt' }), /No supported form found in notes.txt/);
+});
+
+test('negative amounts format with the sign before the dollar sign', () => {
+  assert.equal(formatAmount(-1200.5), '-$1,200.50');
+  assert.equal(formatAmount(85000), '$85,000.00');
+});
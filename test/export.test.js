@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { markdownToHtml, writeExport } from '../src/export.js';
+import { parseInline } from '../src/markdown.js';
+
+test('links keep balanced parentheses in their URL', () => {
+  const [segment] = parseInline('[Pub 17](https://en.wikipedia.org/wiki/Form_1040_(US)) rest');
+  assert.equal(segment.link, 'https://en.wikipedia.org/wiki/Form_1040_(US)');
+});
+
+test('exports link only http, https, mailto and # targets', () => {
+  assert.match(markdownToHtml('[IRS](https://www.irs.gov/pub/irs-pdf/p17.pdf)'), /<a href="https:\/\/www\.irs\.gov\/pub\/irs-pdf\/p17\.pdf">IRS<\/a>/);
+  assert.match(markdownToHtml('[mail](mailto:help@example.com)'), /<a href="mailto:help@example.com">/);
+  assert.match(markdownToHtml('[top](#top)'), /<a href="#top">/);
+
+  const html = markdownToHtml('[x](javascript:alert(document.cookie)) and [y](data:text/html,hi)');
+  assert.doesNotMatch(html, /href/);
+  assert.match(html, /x/);
+});
+
+test('exports are written readable by the owner only, even over an existing file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tax-gpt-export-'));
+  const session = {
+    id: '20250101-120000-abcdef', name: 'private', createdAt: '2025-01-01T12:00:00.000Z', updatedAt: '2025-01-01T12:00:00.000Z',
+    messages: [{ role: 'user', content: 'My wages were $85,000', timestamp: '2025-01-01T12:00:00.000Z' }],
+    metadata: { taxYear: 2025, totalTurns: 1, tags: [] }
+  };
+  try {
+    const target = path.join(dir, 'transcript.md');
+    await fs.writeFile(target, 'old', { mode: 0o644 });
+    const file = await writeExport(session, 'md', target);
+    assert.equal(file, target);
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+    assert.match(await fs.readFile(file, 'utf-8'), /\$85,000/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
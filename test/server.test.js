@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Sessions and the search index live under HOME, which config.js reads on import
+const home = await fs.mkdtemp(path.join(os.tmpdir(), 'tax-gpt-server-'));
+process.env.HOME = home;
+const { TaxEngine } = await import('../src/engine.js');
+const { createServer } = await import('../src/server.js');
+const { MockProvider } = await import('../src/providers.js');
+const { SESSIONS_DIR } = await import('../src/config.js');
+
+const RESPONSES = [
+  { match: 'standard deduction', answer: 'The standard deduction for a single filer is **$15,750** [1].' },
+  {
+    match: 'tax on',
+    toolCalls: [{ name: 'compute_tax', arguments: { filing_status: 'single', income: 64600 } }],
+    answer: 'The tax on $64,600 of income is $5,667.'
+  }
+];
+
+// Holds every answer at the provider until release(), so a test can act while one is in progress
+class GatedProvider extends MockProvider {
+  constructor(options) {
+    super(options);
+    this.gate = null;
+  }
+
+  hold() {
+    let release;
+    const reached = new Promise(resolve => {
+      this.gate = { promise: new Promise(r => { release = r; }), reached: resolve };
+    });
+    return { reached, release: () => { this.gate = null; release(); } };
+  }
+
+  async complete(params, options) {
+    if (this.gate) {
+      this.gate.reached();
+      await this.gate.promise;
+    }
+    return super.complete(params, options);
+  }
+}
+
+const provider = new GatedProvider({ responses: RESPONSES });
+let server;
+let url;
+
+before(async () => {
+  const base = new TaxEngine({ provider });
+  await base.loadKnowledge();
+  server = createServer(base);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(home, { recursive: true, force: true });
+});
+
+const request = (pathname, { method = 'GET', body } = {}) => fetch(url + pathname, {
+  method,
+  headers: body ? { 'Content-Type': 'application/json' } : {},
+  body: body ? JSON.stringify(body) : undefined
+});
+
+const post = (pathname, body) => request(pathname, { method: 'POST', body });
+
+// "event: token\ndata: {...}\n\n" blocks as [event, data] pairs
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return [event, JSON.parse(data)];
+  });
+}
+
+test('the engine answers through the mock provider and saves the turn', async () => {
+  const engine = new TaxEngine({ provider: new MockProvider({ responses: RESPONSES }) });
+  await engine.loadKnowledge();
+  const session = await engine.startSession();
+
+  const { answer } = await engine.answer('What is the standard deduction?');
+  assert.equal(answer, RESPONSES[0].answer);
+  assert.equal(session.metadata.taxYear, 2025);
+
+  const saved = JSON.parse(await fs.readFile(path.join(SESSIONS_DIR, `${session.id}.json`), 'utf-8'));
+  assert.deepEqual(saved.messages.map(m => m.role), ['user', 'assistant']);
+});
+
+test('GET /health names the mock provider', async () => {
+  const res = await request('/health');
+  assert.equal(res.status, 200);
+  const health = await res.json();
+  assert.equal(health.provider, 'mock');
+  assert.ok(health.taxYears.includes(2025));
+});
+
+test('POST /ask answers in a new session and runs tools', async () => {
+  const res = await post('/ask', { question: 'What is the tax on $64,600?' });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.answer, RESPONSES[1].answer);
+  assert.equal(body.taxYear, 2025);
+  assert.equal(body.toolCalls.length, 1);
+  assert.equal(body.toolCalls[0].name, 'compute_tax');
+
+  const session = await (await request(`/sessions/${body.session}`)).json();
+  assert.equal(session.messages.at(-1).content, RESPONSES[1].answer);
+});
+
+test('answers stream as token events followed by done', async () => {
+  const created = await (await post('/sessions', { name: 'streamed', tags: ['test'] })).json();
+  const res = await post(`/sessions/${created.id}/ask`, { question: 'What is the standard deduction?', stream: true });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await res.text());
+  const [last, done] = events.at(-1);
+  assert.equal(last, 'done');
+  assert.ok(events.slice(0, -1).every(([event]) => event === 'token'));
+  assert.equal(events.slice(0, -1).map(([, data]) => data.content).join(''), RESPONSES[0].answer);
+  assert.equal(done.session, created.id);
+  assert.equal(done.answer, RESPONSES[0].answer);
+});
+
+test('unknown sessions are 404, bad paths and years 400', async () => {
+  const missing = await post('/sessions/20250101-000000-000000/ask', { question: 'Hello?' });
+  assert.equal(missing.status, 404);
+  assert.match((await missing.json()).error, /Session not found/);
+
+  assert.equal((await request('/sessions/%E0%A4%A')).status, 400);
+  assert.equal((await request('/sessions/..%2Fprofile')).status, 400);
+
+  const year = await post('/ask', { question: 'Hello?', taxYear: 2019 });
+  assert.equal(year.status, 400);
+  assert.match((await year.json()).error, /Tax year 2019 is not loaded/);
+  assert.equal((await post('/sessions', { taxYear: '2025' })).status, 400);
+});
+
+test('an ask queued behind a delete gets a 404 and does not bring the session back', async () => {
+  const { id } = await (await post('/sessions', {})).json();
+  const held = provider.hold();
+
+  const first = post(`/sessions/${id}/ask`, { question: 'What is the standard deduction?' });
+  await held.reached;
+  const deleted = request(`/sessions/${id}?secure=1`, { method: 'DELETE' });
+  // Give the delete time to queue on the session before the second ask does
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const second = post(`/sessions/${id}/ask`, { question: 'What is the standard deduction?' });
+  held.release();
+
+  assert.equal((await first).status, 200);
+  assert.equal((await deleted).status, 204);
+  assert.equal((await second).status, 404);
+  assert.equal((await request(`/sessions/${id}`)).status, 404);
+  await assert.rejects(fs.access(path.join(SESSIONS_DIR, `${id}.json`)), { code: 'ENOENT' });
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contextWindow, DEFAULT_CONTEXT_WINDOW } from '../src/tokens.js';
+
+test('context windows are looked up by model name, with or without a vendor or tag', () => {
+  assert.equal(contextWindow('google/gemini-2.5-flash'), 1048576);
+  assert.equal(contextWindow('openai/gpt-4o-mini'), 128000);
+  assert.equal(contextWindow('gpt-4.1'), 1047576);
+  assert.equal(contextWindow('anthropic/claude-3.5-haiku:beta'), 200000);
+  assert.equal(contextWindow('meta-llama/llama-3.3-70b-instruct'), 131072);
+  assert.equal(contextWindow('qwen2.5:7b'), 32768);
+});
+
+test('Ollama llama ids get their own window, not the llama3 family default', () => {
+  assert.equal(contextWindow('llama3.3'), 131072);
+  assert.equal(contextWindow('llama3.3:70b'), 131072);
+  assert.equal(contextWindow('llama3.1:8b'), 131072);
+  assert.equal(contextWindow('llama3:8b'), 8192);
+});
+
+test('o-series keys match only names that start with them', () => {
+  assert.equal(contextWindow('o3-mini'), 200000);
+  assert.equal(contextWindow('openai/o1'), 200000);
+  assert.equal(contextWindow('foo1-o1b'), DEFAULT_CONTEXT_WINDOW);
+  assert.equal(contextWindow('tinyllama-o4'), DEFAULT_CONTEXT_WINDOW);
+});
+
+test('CONTEXT_WINDOW overrides the lookup', () => {
+  assert.equal(contextWindow('llama3:8b', 65536), 65536);
+});
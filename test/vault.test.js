@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../src/vault.js';
+
+test('writeJsonFile replaces an existing file owner-only and leaves no temporary file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tax-gpt-vault-'));
+  try {
+    const file = path.join(dir, 'session.json');
+    await fs.writeFile(file, '{}', { mode: 0o644 });
+    await writeJsonFile(file, { id: 'a', messages: [] });
+
+    assert.deepEqual(await readJsonFile(file), { id: 'a', messages: [] });
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+    assert.deepEqual(await fs.readdir(dir), ['session.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('overlapping writes leave one whole version', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tax-gpt-vault-'));
+  try {
+    const file = path.join(dir, 'session.json');
+    const versions = Array.from({ length: 10 }, (_, i) => ({ version: i, text: 'x'.repeat(1000 * (10 - i)) }));
+    await Promise.all(versions.map(value => writeJsonFile(file, value)));
+
+    const saved = await readJsonFile(file);
+    assert.deepEqual(saved, versions[saved.version]);
+    assert.deepEqual(await fs.readdir(dir), ['session.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});